@@ -2,7 +2,7 @@
 
 angular.module('angular.models')
 
-.factory('BaseCollectionClass', function ($q, BaseSyncClass, BaseModelClass, WrapError, _) {
+.factory('BaseCollectionClass', function ($q, BaseSyncClass, BaseModelClass, ModelStore, WrapError, _) {
 
   var BaseCollectionClass;
 
@@ -153,7 +153,7 @@ angular.module('angular.models')
             if (options.parse) {
               attrs = existing.parse(attrs, options);
             }
-            existing.$set(attrs, options);
+            existing.$set(attrs, options.parse ? _.extend({}, options, {paths: false}) : options);
             if (sortable && !sort && existing.hasChanged(sortAttr)) {
               sort = true;
             }
@@ -299,8 +299,16 @@ angular.module('angular.models')
      */
     where: function (attrs, first) {
       var matches = _.matches(attrs);
+      var keys = _.keys(attrs);
       return this[first ? 'find' : 'filter'](function(model) {
-        return matches(model.attributes);
+        var values = model.attributes;
+        // Computed attributes are matched by their values.
+        if (model.computed) {
+          values = _.extend({}, values, _.mapValues(_.pick(model.computed, keys), function (field, name) {
+            return model.$get(name);
+          }));
+        }
+        return matches(values);
       });
     },
 
@@ -328,8 +336,13 @@ angular.module('angular.models')
       options || (options = {});
 
       // Run sort based on type of `comparator`.
-      if (_.isString(this.comparator) || this.comparator.length === 1) {
-        this.models = this.sortBy(this.comparator, this);
+      if (_.isString(this.comparator)) {
+        var attr = this.comparator;
+        this.models = _.sortBy(this.models, function (model) {
+          return model.$get(attr);
+        });
+      } else if (this.comparator.length === 1) {
+        this.models = _.sortBy(this.models, this.comparator, this);
       } else {
         this.models.sort(_.bind(this.comparator, this));
       }
@@ -345,7 +358,7 @@ angular.module('angular.models')
      * @return {type}
      */
     pluck: function (attr) {
-      return _.invoke(this.models, 'get', attr);
+      return _.invoke(this.models, '$get', attr);
     },
 
 
@@ -380,7 +393,10 @@ angular.module('angular.models')
         options = _.extend({}, options, {parse: true});
 
         options.success = function success (response) {
-          self.$set(response, options);
+          if (options.notModified) {
+            return resolve(self);
+          }
+          self.$snapshotModels(self.$set(response, options));
           self.trigger('fetched', self);
           resolve(self);
         };
@@ -391,6 +407,67 @@ angular.module('angular.models')
     },
 
 
+    /**
+     * @function BaseCollectionClass#dirtyModels
+     * @description Return models which differ from their state last returned by the server.
+     * @return {BaseModelClass[]}
+     */
+    dirtyModels: function dirtyModels () {
+      return this.filter(function (model) { return model.isDirty(); });
+    },
+
+
+    /**
+     * @function BaseCollectionClass#isDirty
+     * @description Determine if any of the models differs from its state last returned
+     *              by the server.
+     * @return {boolean}
+     */
+    isDirty: function isDirty () {
+      return this.some(function (model) { return model.isDirty(); });
+    },
+
+
+    /**
+     * @function BaseCollectionClass#saveAll
+     * @description Saves new and dirty models, or a given list of models. If the collection
+     *              has a `batch` endpoint, models are saved by one bulk request.
+     * @param  {BaseModelClass[]} [models] Models to save
+     * @param  {Object} [options] Options of every `save`
+     * @return {Promise} Resolved with the saved models
+     */
+    saveAll: function saveAll (models, options) {
+      if (!_.isArray(models)) {
+        options = models;
+        models = this.filter(function (model) { return model.isNew() || model.isDirty(); });
+      }
+      options = this.$bulkOptions(options);
+      return $q.all(_.map(models, function (model) {
+        return model.save(null, _.clone(options));
+      }));
+    },
+
+
+    /**
+     * @function BaseCollectionClass#destroyAll
+     * @description Destroys every model, or a given list of models. If the collection
+     *              has a `batch` endpoint, models are destroyed by one bulk request.
+     * @param  {BaseModelClass[]} [models] Models to destroy
+     * @param  {Object} [options] Options of every `destroy`
+     * @return {Promise} Resolved with the destroyed models
+     */
+    destroyAll: function destroyAll (models, options) {
+      if (!_.isArray(models)) {
+        options = models;
+        models = this.models;
+      }
+      options = this.$bulkOptions(options);
+      return $q.all(_.map(_.clone(models), function (model) {
+        return model.destroy(_.clone(options));
+      }));
+    },
+
+
     /**
      * @function BaseCollectionClass#create
      * @description Creates a new instance of a model in this collection.
@@ -435,6 +512,21 @@ angular.module('angular.models')
     },
 
 
+    /**
+     * @function BaseCollectionClass~$bulkOptions
+     * @private
+     * @description Pass the collection's `batch` endpoint to operations of its models.
+     * @return {Object}
+     */
+    $bulkOptions: function (options) {
+      options = _.extend({}, options);
+      if (this.batch && !_.has(options, 'batch')) {
+        options.batch = this.batch;
+      }
+      return options;
+    },
+
+
     /**
      * @function BaseCollectionClass~$reset
      * @private
@@ -452,7 +544,8 @@ angular.module('angular.models')
      * @function BaseCollectionClass~$prepareModel
      * @private
      * @description Prepare a hash of attributes (or other model) to be added to this
-     *              collection.
+     *              collection. If the model class uses an identity map, a stored model
+     *              with the same id is reused.
      * @return {BaseModelClass}
      */
     $prepareModel: function (attrs, options) {
@@ -464,7 +557,7 @@ angular.module('angular.models')
       }
       options = options ? _.clone(options) : {};
       options.collection = this;
-      var model = new this.model(attrs, options);
+      var model = this.model.prototype.identityMap ? ModelStore.resolve(this.model, attrs, options) : new this.model(attrs, options);
       if (!model.validationError) {
         return model;
       }
@@ -473,6 +566,21 @@ angular.module('angular.models')
     },
 
 
+    /**
+     * @function BaseCollectionClass~$snapshotModels
+     * @private
+     * @description Record the state of models returned by the server.
+     * @param {BaseModelClass|BaseModelClass[]} models Models returned by `$set`
+     */
+    $snapshotModels: function (models) {
+      _.each(_.isArray(models) ? models : _.compact([models]), function (model) {
+        if (model && model.$snapshot) {
+          model.$snapshot();
+        }
+      });
+    },
+
+
     /**
      * @function BaseCollectionClass~$addReference
      * @private
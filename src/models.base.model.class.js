@@ -2,7 +2,7 @@
 
 angular.module('angular.models')
 
-.factory('BaseModelClass', function ($q, $parse, BaseSyncClass, WrapError, ValidationExceptionClass, _) {
+.factory('BaseModelClass', function ($q, $parse, $timeout, BaseSyncClass, WrapError, BaseExceptionClass, ValidationExceptionClass, CancellationExceptionClass, ConflictExceptionClass, UnprocessableEntityExceptionClass, ModelSchema, ModelValidations, ModelServerErrors, ModelTransformers, ModelRelations, ModelStore, ModelHistoryClass, ModelOutbox, _) {
 
   // var proto;
 
@@ -32,6 +32,58 @@ angular.module('angular.models')
    */
   var BaseModelClass;
 
+  // Merges local and server changes of attributes made since a common base version.
+  // Returns merged attributes and conflicts of fields changed on both sides.
+  function threeWayMerge(base, local, server) {
+    var attrs = {};
+    var conflicts = {};
+
+    _.each(_.union(_.keys(base), _.keys(local), _.keys(server)), function (attr) {
+      var localChanged = _.has(local, attr) !== _.has(base, attr) || !_.isEqual(local[attr], base[attr]);
+      var serverChanged = _.has(server, attr) !== _.has(base, attr) || !_.isEqual(server[attr], base[attr]);
+      var same = _.has(local, attr) === _.has(server, attr) && _.isEqual(local[attr], server[attr]);
+      var source = localChanged ? local : server;
+
+      if (localChanged && serverChanged && !same) {
+        conflicts[attr] = {base: base[attr], local: local[attr], server: server[attr]};
+      }
+      if (_.has(source, attr)) {
+        attrs[attr] = source[attr];
+      }
+    });
+    return {attrs: attrs, conflicts: conflicts};
+  }
+
+  // Tells a deep path such as "address.city" or "items[0].name" from an attribute name.
+  var DEEP_PATH = /[.\[]/;
+
+  // Splits a deep path into keys, e.g. "items[0].name" into ['items', '0', 'name'].
+  function toPath(path) {
+    return _.compact(String(path).replace(/\[(['"]?)(.*?)\1\]/g, '.$2').split('.'));
+  }
+
+  // Unlike `_.has`, does not read a key as a deep path.
+  function hasOwn(obj, key) {
+    return obj != null && Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  // Returns a value at a deep path of attributes. An attribute which is named
+  // like a path is preferred.
+  function getPath(attrs, path) {
+    if (!attrs || hasOwn(attrs, path) || !DEEP_PATH.test(path)) {
+      return attrs ? attrs[path] : void 0;
+    }
+    return _.get(attrs, toPath(path));
+  }
+
+  // Runs `next` right away, or once a lifecycle hook lets the operation continue.
+  function proceed(hook, next, fail) {
+    if (hook) {
+      return hook.then(next, fail);
+    }
+    next();
+  }
+
   BaseModelClass = BaseSyncClass.extend({
     /**
      * @class BaseModelClass
@@ -99,10 +151,11 @@ angular.module('angular.models')
         this.collection = options.collection;
       }
 
-      attrs = _.defaults({}, attrs, _.result(this, 'defaults'));
+      attrs = _.defaults({}, attrs, _.result(this, 'defaults'), ModelSchema.defaults(this.schema));
 
-      this.$set(attrs, options);
+      this.$set(attrs, _.extend({}, options, {history: false}, options.parse ? {paths: false} : null));
       this.changed = {};
+      this.$snapshot();
       this.initialize.apply(this, arguments);
     },
 
@@ -149,6 +202,101 @@ angular.module('angular.models')
     defaultQueryParams: {value: {}, writable: true},
 
 
+    /**
+     * @member {Object} BaseModelClass#schema
+     * @description A declarative description of the model's attributes. Every write made
+     *              by {@link BaseModelClass#$set} is coerced to the declared types and checked
+     *              against the schema. A failed check fires an `"invalid"` event with a
+     *              {@link ValidationExceptionClass}, just like a `validate` function does.
+     *              Default values of the schema are merged into `defaults`.
+     *              See {@link ModelSchema} for the list of supported options.
+     *
+     * @example <caption>Define a model with a schema</caption>
+     * var Book = BaseModelClass.extend({
+     *   schema: {
+     *     value: {
+     *       title: {type: 'string', required: true},
+     *       price: {type: 'number', default: 0},
+     *       format: {type: 'string', enum: ['paper', 'ebook']}
+     *     }
+     *   }
+     * });
+     *
+     * var book = new Book({title: 'Sherlock Holmes'});
+     * book.$set('price', '9.99');
+     * book.$get('price'); //-> 9.99
+     * book.$set('price', 'free'); //-> false, fires "invalid"
+     */
+    schema: {value: null, writable: true},
+
+
+    /**
+     * @member {Object} BaseModelClass#validations
+     * @description Declarative validation rules by attribute name. They are checked along
+     *              with the schema and `validate`, and all of the failures are collected into
+     *              one {@link ValidationExceptionClass} with a hash of error messages by
+     *              attribute. See {@link ModelValidations} for the list of rules.
+     *
+     * @example <caption>Validate a book</caption>
+     * var Book = BaseModelClass.extend({
+     *   validations: {
+     *     value: {
+     *       title: {required: true, length: {max: 80}},
+     *       isbn: {pattern: {value: /^\d{13}$/, message: 'Enter 13 digits'}}
+     *     }
+     *   }
+     * });
+     *
+     * book.isValid('title'); //-> false
+     * book.errorsFor('title'); //-> ['"title" is required']
+     */
+    validations: {value: null, writable: true},
+
+
+    /**
+     * @member {Object} BaseModelClass#asyncValidators
+     * @description Asynchronous validators by attribute name, e.g. a check that a username
+     *              is not taken yet. A validator is a function `(value, attrs, model)` or
+     *              `{validate: fn, debounce: ms, message: '...'}`. It returns a promise which
+     *              resolves with an error message, or false, when the value is not valid. A
+     *              rejected promise fails the validation as well.
+     *
+     *              Validators are run by {@link BaseModelClass#validateAsync}, and `save`
+     *              awaits them before sending the model. Debounced validators run once
+     *              calls stop for `debounce` milliseconds, and a newer call supersedes the
+     *              results of older ones. Models fire `"validating"` (model, attr, options)
+     *              and `"validated"` (model, attr, messages, options) for every attribute.
+     *
+     * @example <caption>Check a username while it is typed</caption>
+     * var Account = BaseModelClass.extend({
+     *   asyncValidators: {
+     *     value: {
+     *       username: {
+     *         debounce: 300,
+     *         validate: function (value) {
+     *           return $http.get('/usernames/' + value).then(function () {
+     *             return 'The username is taken';
+     *           }, function () {});
+     *         }
+     *       }
+     *     }
+     *   }
+     * });
+     *
+     * account.validateAsync({username: 'eugene'});
+     * account.isValidating('username'); //-> true
+     */
+    asyncValidators: {value: null, writable: true},
+
+
+    /**
+     * @member {Object} BaseModelClass~$asyncValidation
+     * @private
+     * @description State of asynchronous validators by attribute name.
+     */
+    $asyncValidation: {value: null, writable: true},
+
+
     /**
      * @member {object} BaseModelClass#changed
      * @description A hash of attributes whose current and previous value differ.
@@ -165,6 +313,18 @@ angular.module('angular.models')
     validationError: {value: null, writable: true},
 
 
+    /**
+     * @member {string|Function} BaseModelClass#serverErrorFormat
+     * @description A format of validation errors which the server responds with on 422,
+     *              see {@link ModelServerErrors}. A function `(data, response)` returns a hash
+     *              of error messages by attribute name. Every known format is tried by default.
+     *              A recognized response sets `validationError`, fires `"invalid"` and rejects
+     *              the save with a `ValidationExceptionClass`.
+     * @type {string|Function}
+     */
+    serverErrorFormat: {value: null, writable: true},
+
+
     /**
      * @member {string} BaseModelClass#idAttribute
      * @description The default name for the JSON `id` attribute is `"id"`. MongoDB and
@@ -174,6 +334,18 @@ angular.module('angular.models')
     idAttribute: {value: 'id', writable: true},
 
 
+    /**
+     * @member {boolean} BaseModelClass#identityMap
+     * @description If true, models of the class are kept by {@link ModelStore} as soon as they
+     *              get an id. Collections and relations then resolve models through the store,
+     *              so one id yields one instance. A model built with `new` is always a new
+     *              instance, use {@link ModelStore#resolve} to get the stored one. Data fetched
+     *              by such a model is merged into the stored instance as well.
+     * @type {boolean}
+     */
+    identityMap: {value: false, writable: true},
+
+
     /**
      * @function BaseModelClass#initialize
      * @description Initialize is an empty function by default. Override it with your own
@@ -182,6 +354,147 @@ angular.module('angular.models')
     initialize: {value: _.noop, writable: true},
 
 
+    /**
+     * @function BaseModelClass#beforeValidate
+     * @description A lifecycle hook which runs when `save` starts, before the attributes are
+     *              set and validated. Lifecycle hooks are empty by default, override them to
+     *              put auditing, confirmations and the like in one place:
+     *
+     *              * `beforeValidate(attrs, options)` and `beforeSave(options)` - by `save`.
+     *                A retry of a save after a conflict skips them.
+     *              * `afterSave(response, options)` - once `save` succeeds. A save queued by
+     *                {@link ModelOutbox} succeeds with a null response and `options.queued`.
+     *              * `beforeFetch(options)`, `afterFetch(response, options)` - by `fetch`
+     *              * `beforeDestroy(options)`, `afterDestroy(options)` - by `destroy`
+     *
+     *              A hook may return a promise to delay the operation. Returning false, or a
+     *              promise which resolves with false, cancels the operation, which rejects with
+     *              a `CancellationExceptionClass`. A rejected promise, or a hook which throws,
+     *              rejects the operation.
+     *              Every hook fires an event of the same name with the model and the hook's
+     *              arguments.
+     *
+     * @example <caption>Confirm deletion</caption>
+     * var Document = BaseModelClass.extend({
+     *   beforeDestroy: function () {
+     *     return confirmDialog.open('Delete the document?'); //-> Resolves with true or false
+     *   }
+     * });
+     */
+    beforeValidate: {value: _.noop, writable: true},
+
+
+    /**
+     * @function BaseModelClass#beforeSave
+     * @description A lifecycle hook which runs before a valid model is sent to the server.
+     *              See {@link BaseModelClass#beforeValidate}.
+     */
+    beforeSave: {value: _.noop, writable: true},
+
+
+    /**
+     * @function BaseModelClass#afterSave
+     * @description A lifecycle hook which runs once the model is saved.
+     *              See {@link BaseModelClass#beforeValidate}.
+     */
+    afterSave: {value: _.noop, writable: true},
+
+
+    /**
+     * @function BaseModelClass#beforeFetch
+     * @description A lifecycle hook which runs before the model is fetched.
+     *              See {@link BaseModelClass#beforeValidate}.
+     */
+    beforeFetch: {value: _.noop, writable: true},
+
+
+    /**
+     * @function BaseModelClass#afterFetch
+     * @description A lifecycle hook which runs once the model is fetched.
+     *              See {@link BaseModelClass#beforeValidate}.
+     */
+    afterFetch: {value: _.noop, writable: true},
+
+
+    /**
+     * @function BaseModelClass#beforeDestroy
+     * @description A lifecycle hook which runs before the model is destroyed.
+     *              See {@link BaseModelClass#beforeValidate}.
+     */
+    beforeDestroy: {value: _.noop, writable: true},
+
+
+    /**
+     * @function BaseModelClass#afterDestroy
+     * @description A lifecycle hook which runs once the model is destroyed.
+     *              See {@link BaseModelClass#beforeValidate}.
+     */
+    afterDestroy: {value: _.noop, writable: true},
+
+
+    /**
+     * @function BaseModelClass~$hook
+     * @private
+     * @description Fire an event of a lifecycle hook and run the hook.
+     * @param  {string} name A hook name
+     * @param  {Array}  args Arguments of the hook
+     * @return {Promise|null} A promise if the hook delays, cancels or fails the operation,
+     *                        null if the operation may go on right away
+     */
+    $hook: function $hook (name, args) {
+      var result;
+      var cancel = function () {
+        return $q.reject(new CancellationExceptionClass('The operation has been cancelled by ' + name));
+      };
+
+      this.trigger.apply(this, [name, this].concat(args));
+      try {
+        result = this[name].apply(this, args);
+      }
+      catch (error) {
+        return $q.reject(error);
+      }
+
+      if (result === false) {
+        return cancel();
+      }
+      if (result && _.isFunction(result.then)) {
+        return $q.when(result).then(function (value) {
+          return value === false ? cancel() : value;
+        });
+      }
+      return null;
+    },
+
+
+    /**
+     * @member {Object} BaseModelClass#relations
+     * @description A hash of relations to other models and collections. Nested data written by
+     *              {@link BaseModelClass#$set}, or returned by the server, becomes an instance of
+     *              the related class. See {@link ModelRelations} for the list of supported options.
+     *
+     * @example <caption>Define a post with an author and comments</caption>
+     * var Post = BaseModelClass.extend({
+     *   urlRoot: {value: '/posts'},
+     *   relations: {
+     *     value: {
+     *       author: {type: 'belongsTo', model: 'PersonModelClass', foreignKey: 'authorId', serialize: 'id'},
+     *       comments: {type: 'hasMany', collection: 'CommentsCollectionClass', foreignKey: 'postId'}
+     *     }
+     *   }
+     * });
+     *
+     * var post = new Post({id: 1, author: {id: 7, name: 'Eugene'}, comments: [{id: 1, text: 'Nice!'}]});
+     * post.$get('author').$get('name'); //-> Eugene
+     * post.$get('authorId'); //-> 7
+     * post.$get('comments').first().$get('postId'); //-> 1
+     *
+     * post.on('add:comments', function (post, comments, comment) {});
+     * post.$get('comments').add({text: 'Agreed'});
+     */
+    relations: {value: null, writable: true},
+
+
     /**
      * @member {array} BaseModelClass#serializeModel
      * @description Holds a list of models which will be included into the model when method 'toJSON' called
@@ -190,30 +503,170 @@ angular.module('angular.models')
     serializeModel: {value: [], writable: true},
 
 
+    /**
+     * @member {Object} BaseModelClass#transformers
+     * @description Converters of attributes by attribute name. `parse` turns values sent by
+     *              the server into values of the app, e.g. ISO strings into dates, and `toJSON`
+     *              and request bodies turn them back. See {@link ModelTransformers} for the
+     *              list of built-in types.
+     *
+     * @example <caption>Parse dates of a post</caption>
+     * var Post = BaseModelClass.extend({
+     *   transformers: {
+     *     value: {publishedAt: 'date', price: 'money'}
+     *   }
+     * });
+     *
+     * post.fetch().then(function () {
+     *   post.$get('publishedAt'); //-> Date
+     * });
+     */
+    transformers: {value: null, writable: true},
+
+
+    /**
+     * @member {Object} BaseModelClass#computed
+     * @description A hash of attributes derived from other attributes. Every computed
+     *              attribute lists attributes it `deps`ends on, which may be computed as
+     *              well, and a `get` function which receives their values. A value is cached
+     *              until one of its dependencies changes, then the model fires
+     *              `"change:<name>"` if the value differs.
+     *
+     *              Computed attributes are read by {@link BaseModelClass#$get}, so they can be
+     *              used by `where` and comparators of collections. They are included into
+     *              `toJSON` if declared with `serialize: true`, or if `toJSON` is called with
+     *              `{computed: true}`.
+     *
+     * @example <caption>A full name of a person</caption>
+     * var Person = BaseModelClass.extend({
+     *   computed: {
+     *     value: {
+     *       fullName: {
+     *         deps: ['firstName', 'lastName'],
+     *         get: function (firstName, lastName) {
+     *           return _.compact([firstName, lastName]).join(' ');
+     *         }
+     *       }
+     *     }
+     *   }
+     * });
+     *
+     * var person = new Person({firstName: 'Eugene', lastName: 'Brodsky'});
+     * person.$get('fullName'); //-> 'Eugene Brodsky'
+     * person.on('change:fullName', function (model, fullName) {});
+     */
+    computed: {value: null, writable: true},
+
+
+    /**
+     * @member {Object} BaseModelClass~$computedCache
+     * @private
+     * @description Cached values of computed attributes.
+     */
+    $computedCache: {value: null, writable: true},
+
+
+    /**
+     * @member {string[]} BaseModelClass#readOnlyAttributes
+     * @description Attributes owned by the server, e.g. `createdAt`. They are never sent
+     *              to the server.
+     * @type {string[]}
+     */
+    readOnlyAttributes: {value: [], writable: true},
+
+
+    /**
+     * @member {string[]} BaseModelClass#writeOnlyAttributes
+     * @description Attributes which are sent to the server but left out of `toJSON`,
+     *              e.g. `password`.
+     * @type {string[]}
+     */
+    writeOnlyAttributes: {value: [], writable: true},
+
+
+    /**
+     * @member {string[]} BaseModelClass#transientAttributes
+     * @description Attributes which exist on the client only. They are left out of
+     *              `toJSON` and never sent to the server.
+     * @type {string[]}
+     */
+    transientAttributes: {value: [], writable: true},
+
+
     /**
      * @function BaseModelClass#toJSON
      * @description  Return a copy of the model's `attributes` object.
+     *               Related instances are serialized as declared by `relations`.
+     *               Write-only and transient attributes are left out.
+     * @param  {object} options An options object:
+     *
+     *                          * `only`  - a list of attributes to include
+     *                          * `except` - a list of attributes to leave out
+     *                          * `includeRelations` - false to leave out related instances
      * @return {JSON}
+     *
+     * @example
+     * person.toJSON({only: ['id', 'name']}); //-> {id: 1, name: 'Eugene'}
      */
-    toJSON: function toJSON() {
+    toJSON: function toJSON(options) {
       var self = this;
-      var obj = _.cloneDeep(this.attributes);
+      var obj = _.cloneDeep(_.omit(this.attributes, _.keys(this.relations)));
+      options = options || {};
+
+      if (this.relations && options.includeRelations !== false) {
+        ModelRelations.serialize(this, obj, _.omit(options, 'only', 'except'));
+      }
+
+      _.each(this.computed, function (field, name) {
+        var include = options && _.has(options, 'computed') ? options.computed : field.serialize;
+        if (include) {
+          obj[name] = _.cloneDeep(self.$get(name));
+        }
+      });
+
+      if (this.transformers) {
+        obj = ModelTransformers.serialize(this.transformers, obj);
+      }
 
       if (_.isArray(this.serializeModel) && this.serializeModel.length) {
         _.each(this.serializeModel, function (key) {
           obj[key] = ('toJSON' in self[key]) ? self[key].toJSON() : null;
         });
       }
+
+      obj = _.omit(obj, _.union(options.payload ? this.readOnlyAttributes : this.writeOnlyAttributes, this.transientAttributes));
+      if (options.only) {
+        obj = _.pick(obj, options.only);
+      }
+      if (options.except) {
+        obj = _.omit(obj, options.except);
+      }
       return obj;
     },
 
 
+    /**
+     * @function BaseModelClass#toPayload
+     * @description Return a representation of the model which is sent to the server.
+     *              Unlike `toJSON`, it includes write-only attributes and leaves out
+     *              read-only ones. Accepts the options of `toJSON`.
+     * @param  {object} options An options object
+     * @return {JSON}
+     */
+    toPayload: function toPayload(options) {
+      return this.toJSON(_.extend({}, options, {payload: true}));
+    },
+
+
     /**
      * @function BaseModelClass#$get
      * @description Get the value of an attribute.
      * @param {string} attr A field name
      */
     $get: function $get (attr) {
+      if (this.computed && _.has(this.computed, attr)) {
+        return this.$compute(attr);
+      }
       // NOTE: Improve
       // if field name has a dot use $parse othewise return a value from attributes
       var getter = $parse(attr);
@@ -250,10 +703,13 @@ angular.module('angular.models')
      *              will be triggered on the model. Change events for specific attributes
      *              are also triggered, and you can bind to those as well,
      *              for example: change:title, and change:content. You may also pass individual keys and values.
+     *              Keys can be deep paths, e.g. `"address.city"` or `"phones[0].number"`, which
+     *              fire `"change:address.city"` before `"change:address"`. Pass `paths: false`
+     *              to keep such keys as they are, like data returned by the server is.
      * @return {BaseModelClass} Return a reference on a current instance of BaseModelClass
      */
     $set: function $set (key, val, options) {
-      var attr, attrs, unset, changes, silent, changing, prev, current;
+      var attr, attrs, unset, changes, silent, changing, prev, current, record, before, computed, deep, replaced;
       if (key == null) {
         return this;
       }
@@ -266,20 +722,38 @@ angular.module('angular.models')
         (attrs = {})[key] = val;
       }
 
+      // Turn changes of deep paths into changes of top-level attributes.
+      if ((!options || options.paths !== false) && _.some(_.keys(attrs), DEEP_PATH.test, DEEP_PATH)) {
+        return this.$setPaths(attrs, options);
+      }
+      deep = this._deepPaths;
+      this._deepPaths = null;
+
       options = options || {};
       // Try run validate function any time
       options.validate = true;
 
+      // Convert values to the types declared in the schema.
+      if (this.schema && !options.unset) {
+        attrs = ModelSchema.coerce(this.schema, attrs);
+      }
+
       // Run validation.
-      var error = this.$validate(attrs, options);
-      if (error instanceof ValidationExceptionClass) {
+      if (!this.$validate(attrs, options)) {
         return false;
       }
 
+      // Turn nested data into related models and collections. Related instances are
+      // changed only once the attributes are valid.
+      if (this.relations) {
+        attrs = ModelRelations.resolve(this, attrs, options);
+      }
+
       // Extract attributes and options.
       unset           = options.unset;
       silent          = options.silent;
       changes         = [];
+      record          = this.trackHistory && !silent && options.history !== false ? [] : null;
       changing        = this._changing;
       this._changing  = true;
 
@@ -290,17 +764,27 @@ angular.module('angular.models')
 
       current = this.attributes;
       prev = this._previousAttributes;
+      before = this.computed ? _.clone(current) : null;
 
       // Check for changes of `id`.
       if (this.idAttribute in attrs) {
         this.id = attrs[this.idAttribute];
+        if (this.identityMap) {
+          ModelStore.add(this);
+        }
       }
 
+      replaced = {};
+
       // For each `set` attribute, update or delete the current value.
       for (attr in attrs) {
         val = attrs[attr];
+        replaced[attr] = current[attr];
         if (!_.isEqual(current[attr], val)) {
           changes.push(attr);
+          if (record) {
+            record.push({attr: attr, from: current[attr], had: _.has(current, attr), to: val, unset: unset === true});
+          }
         }
         if (!_.isEqual(prev[attr], val)) {
           this.changed[attr] = val;
@@ -316,14 +800,29 @@ angular.module('angular.models')
         }
       }
 
+      // Record the changes so they can be undone.
+      if (record && record.length) {
+        this.$history().push(record);
+        this.trigger('history', this, this.$history());
+      }
+
+      // Refresh computed attributes which depend on the changes.
+      computed = before && changes.length ? this.$updateComputed(changes, before, silent) : [];
+
       // Trigger all relevant attribute changes.
       if (!silent) {
         if (changes.length) {
           this._pending = options;
         }
         for (var i = 0, length = changes.length; i < length; i++) {
+          if (deep) {
+            this.$triggerPathChanges(changes[i], deep, replaced[changes[i]], options);
+          }
           this.trigger('change:' + changes[i], this, current[changes[i]], options);
         }
+        for (i = 0, length = computed.length; i < length; i++) {
+          this.trigger('change:' + computed[i], this, this.$get(computed[i]), options);
+        }
       }
 
       // You might be wondering why there's a `while` loop here. Changes can
@@ -340,10 +839,83 @@ angular.module('angular.models')
       }
       this._pending = false;
       this._changing = false;
+      this.$checkDirty(options);
       return this;
     },
 
 
+    /**
+     * @function BaseModelClass~$setPaths
+     * @private
+     * @description Set values at deep paths, e.g. `"address.city"`, by replacing copies of
+     *              their top-level attributes. Fires `"change:address.city"` before
+     *              `"change:address"`.
+     * @return {BaseModelClass|boolean}
+     */
+    $setPaths: function $setPaths (attrs, options) {
+      var plain = {};
+      var roots = {};
+      var paths = [];
+      options = options || {};
+
+      _.each(attrs, function (value, key) {
+        var path = toPath(key);
+        var root = path[0];
+        if (!DEEP_PATH.test(key) || hasOwn(this.attributes, key) || path.length < 2) {
+          plain[key] = value;
+          return;
+        }
+        if (!_.has(roots, root)) {
+          roots[root] = _.isObject(this.attributes[root]) ? _.cloneDeep(this.attributes[root]) : {};
+        }
+        if (options.unset) {
+          var parent = path.length > 2 ? _.get(roots[root], path.slice(1, -1)) : roots[root];
+          if (_.isObject(parent)) {
+            delete parent[_.last(path)];
+          }
+        }
+        else {
+          _.set(roots[root], path.slice(1), value);
+        }
+        paths.push(path);
+      }, this);
+
+      // Unset attributes are removed, while attributes holding unset paths are replaced.
+      if (options.unset && !_.isEmpty(plain) && this.$set(plain, options) === false) {
+        return false;
+      }
+      this._deepPaths = paths;
+      return this.$set(options.unset ? roots : _.extend(roots, plain), _.extend({}, options, {unset: false}));
+    },
+
+
+    /**
+     * @function BaseModelClass~$triggerPathChanges
+     * @private
+     * @description Fire change events of deep paths of an attribute, the deepest first.
+     * @param {string} attr An attribute name
+     * @param {Array[]} paths Changed paths split into keys
+     * @param {*} previous A previous value of the attribute
+     * @param {object} options An options
+     */
+    $triggerPathChanges: function $triggerPathChanges (attr, paths, previous, options) {
+      var fired = {};
+      _.each(paths, function (path) {
+        if (path[0] !== attr) {
+          return;
+        }
+        for (var length = path.length; length > 1; length--) {
+          var name = path.slice(0, length).join('.');
+          var value = _.get(this.attributes[attr], path.slice(1, length));
+          if (!fired[name] && !_.isEqual(_.get(previous, path.slice(1, length)), value)) {
+            fired[name] = true;
+            this.trigger('change:' + name, this, value, options);
+          }
+        }
+      }, this);
+    },
+
+
     /**
      * @function BaseModelClass#unset
      * @description Remove an attribute from the model, firing `"change"`. `unset` is a noop
@@ -368,59 +940,332 @@ angular.module('angular.models')
 
 
     /**
-     * @function BaseModelClass#hasChange
-     * @description Determine if the model has changed since the last `"change"` event.
-     *              If you specify an attribute name, determine if that attribute has changed.
-     * @param  {string} attr
-     * @return {boolean}
+     * @member {boolean} BaseModelClass#trackHistory
+     * @description If true, every non-silent change made by `$set`, `unset` or `clear` is
+     *              recorded and can be reverted by {@link BaseModelClass#undo}. Pass
+     *              `{history: false}` to `$set` to skip recording a particular change.
+     * @type {boolean}
+     *
+     * @example <caption>Undo changes made by an editor</caption>
+     * var Book = BaseModelClass.extend({
+     *   trackHistory: {value: true},
+     *   historyLimit: {value: 20}
+     * });
+     *
+     * var book = new Book({title: 'Untitled book'});
+     * book.$set('title', 'Sherlock Holmes');
+     * book.transaction(function () {
+     *   book.$set('price', 10);
+     *   book.$set('format', 'ebook');
+     * });
+     * book.undo(); // reverts both 'price' and 'format'
+     * book.undo(); //-> book.$get('title') === 'Untitled book'
+     * book.redo(); //-> book.$get('title') === 'Sherlock Holmes'
      */
-    hasChanged: function hasChanged (attr) {
-      if (attr == null) {
-        return !_.isEmpty(this.changed);
-      }
-      return _.has(this.changed, attr);
-    },
+    trackHistory: {value: false, writable: true},
 
 
     /**
-     * @function BaseModelClass#changedAttributes
-     * @description Return an object containing all the attributes that have changed, or
-     *              false if there are no changed attributes. Useful for determining what
-     *              parts of a view need to be updated and/or what attributes need to be
-     *              persisted to the server. Unset attributes will be set to undefined.
-     *              You can also pass an attributes object to diff against the model,
-     *              determining if there *would be* a change.
-     * @param  {object} diff
-     * @return {object}
+     * @member {number} BaseModelClass#historyLimit
+     * @description A maximum number of undo steps. 0 means no limit.
+     * @type {number}
      */
-    changedAttributes: function changedAttributes (diff) {
-      if (!diff) {
-        return this.hasChanged() ? _.clone(this.changed) : false;
-      }
-      var val, changed = false;
-      var old = this._changing ? this._previousAttributes : this.attributes;
-      for (var attr in diff) {
-        if (_.isEqual(old[attr], (val = diff[attr]))) {
-          continue;
-        }
-        (changed || (changed = {}))[attr] = val;
-      }
-      return changed;
-    },
+    historyLimit: {value: 100, writable: true},
 
 
     /**
-     * @function BaseModelClass#previuos
-     * @description Get the previous value of an attribute, recorded at the time the last
-     *              `"change"` event was fired.
-     * @param  {string} attr
-     * @return {mix}
+     * @function BaseModelClass#undo
+     * @description Reverts the last recorded change, or transaction. Fires `"undo"`.
+     * @return {boolean} Returns false if there was nothing to undo, or the reverted
+     *                   attributes were invalid.
+     */
+    undo: function undo () {
+      return this.$step('undo');
+    },
+
+
+    /**
+     * @function BaseModelClass#redo
+     * @description Applies the last undone change again. Fires `"redo"`.
+     * @return {boolean} Returns false if there was nothing to redo, or the applied
+     *                   attributes were invalid.
+     */
+    redo: function redo () {
+      return this.$step('redo');
+    },
+
+
+    /**
+     * @function BaseModelClass#canUndo
+     * @return {boolean}
+     */
+    canUndo: function canUndo () {
+      return !!this._history && this._history.undoStack.length > 0;
+    },
+
+
+    /**
+     * @function BaseModelClass#canRedo
+     * @return {boolean}
+     */
+    canRedo: function canRedo () {
+      return !!this._history && this._history.redoStack.length > 0;
+    },
+
+
+    /**
+     * @function BaseModelClass#transaction
+     * @description Runs a function and records all the changes it makes as one undo step.
+     * @param  {Function} fn      A function to run
+     * @param  {Object}   context A context of the function. Defaults to the model.
+     * @return {BaseModelClass}
+     */
+    transaction: function transaction (fn, context) {
+      var history = this.$history();
+      history.begin();
+      try {
+        fn.call(context || this, this);
+      }
+      finally {
+        history.commit();
+        this.trigger('history', this, history);
+      }
+      return this;
+    },
+
+
+    /**
+     * @function BaseModelClass#clearHistory
+     * @description Drops all the recorded changes.
+     */
+    clearHistory: function clearHistory () {
+      if (this._history) {
+        this._history.clear();
+        this.trigger('history', this, this._history);
+      }
+    },
+
+
+    /**
+     * @function BaseModelClass~$history
+     * @private
+     * @return {ModelHistoryClass} The model's history, created on demand.
+     */
+    $history: function $history () {
+      if (!this._history) {
+        this._history = new ModelHistoryClass(this.historyLimit);
+      }
+      return this._history;
+    },
+
+
+    /**
+     * @function BaseModelClass~$step
+     * @private
+     * @description Moves an entry from one history stack to another, applying it.
+     * @param  {string} direction Either 'undo' or 'redo'
+     * @return {boolean}
+     */
+    $step: function $step (direction) {
+      var history = this._history;
+      var from = direction === 'undo' ? 'undoStack' : 'redoStack';
+      var to = direction === 'undo' ? 'redoStack' : 'undoStack';
+      var changes, attrs;
+
+      if (!history || !history[from].length) {
+        return false;
+      }
+      changes = history[from].pop();
+      attrs = direction === 'undo' ? history.revert(changes) : history.replay(changes);
+
+      if ((!_.isEmpty(attrs.set) && this.$set(attrs.set, {history: false}) === false) ||
+          (!_.isEmpty(attrs.unset) && this.$set(attrs.unset, {unset: true, history: false}) === false)) {
+        history[from].push(changes);
+        return false;
+      }
+      history[to].push(changes);
+      this.trigger(direction, this, changes);
+      this.trigger('history', this, history);
+      return true;
+    },
+
+
+    /**
+     * @function BaseModelClass#isDirty
+     * @description Determine if the model differs from its state last returned by the server.
+     *              A model which was never synced is compared with the attributes it was
+     *              created with. If you specify an attribute name, determine if that attribute
+     *              differs. Related models and collections are not compared.
+     * @param  {string} attr
+     * @return {boolean}
+     */
+    isDirty: function isDirty (attr) {
+      var dirty = this.dirtyAttributes();
+      if (attr == null) {
+        return !!dirty;
+      }
+      return !!dirty && _.has(dirty, attr);
+    },
+
+
+    /**
+     * @function BaseModelClass#dirtyAttributes
+     * @description Return an object containing all the attributes that differ from the state
+     *              last returned by the server, or false if there are none. Attributes which
+     *              were removed since then are set to undefined.
+     * @return {object|boolean}
+     */
+    dirtyAttributes: function dirtyAttributes () {
+      var synced = this._syncedAttributes;
+      var current = _.omit(this.attributes, _.keys(this.relations));
+      var dirty = false;
+
+      if (!synced) {
+        return false;
+      }
+      _.each(_.union(_.keys(current), _.keys(synced)), function (attr) {
+        if (!_.isEqual(current[attr], synced[attr])) {
+          (dirty || (dirty = {}))[attr] = current[attr];
+        }
+      });
+      return dirty;
+    },
+
+
+    /**
+     * @function BaseModelClass#syncedAttributes
+     * @description Get a copy of the attributes last returned by the server.
+     * @return {object}
+     */
+    syncedAttributes: function syncedAttributes () {
+      return _.cloneDeep(this._syncedAttributes);
+    },
+
+
+    /**
+     * @function BaseModelClass#rollback
+     * @description Restore the attributes last returned by the server, firing `"change"`
+     *              and `"rollback"`.
+     * @param  {object} options An options passed to `$set`
+     * @return {BaseModelClass|boolean} Returns false if the restored attributes were invalid.
+     */
+    rollback: function rollback (options) {
+      var dirty = this.dirtyAttributes();
+      var synced = this._syncedAttributes;
+      var attrs = {};
+      var removed = {};
+
+      if (!dirty) {
+        return this;
+      }
+      _.each(dirty, function (value, attr) {
+        if (_.has(synced, attr)) {
+          attrs[attr] = _.cloneDeep(synced[attr]);
+        }
+        else {
+          removed[attr] = void 0;
+        }
+      });
+
+      if ((!_.isEmpty(attrs) && this.$set(attrs, options) === false) ||
+          (!_.isEmpty(removed) && this.$set(removed, _.extend({}, options, {unset: true})) === false)) {
+        return false;
+      }
+      this.trigger('rollback', this, {attributes: _.keys(dirty)}, options || {});
+      return this;
+    },
+
+
+    /**
+     * @function BaseModelClass~$snapshot
+     * @private
+     * @description Record the current attributes as the state last returned by the server.
+     */
+    $snapshot: function $snapshot () {
+      this._syncedAttributes = _.cloneDeep(_.omit(this.attributes, _.keys(this.relations)));
+      this.$checkDirty({});
+    },
+
+
+    /**
+     * @function BaseModelClass~$checkDirty
+     * @private
+     * @description Fire a `"dirty"` event if the model became dirty or clean.
+     */
+    $checkDirty: function $checkDirty (options) {
+      var dirty = this.isDirty();
+      if (dirty === !!this._dirty) {
+        return;
+      }
+      this._dirty = dirty;
+      if (!options.silent) {
+        this.trigger('dirty', this, dirty, options);
+      }
+    },
+
+
+    /**
+     * @function BaseModelClass#hasChange
+     * @description Determine if the model has changed since the last `"change"` event.
+     *              If you specify an attribute name, determine if that attribute has changed.
+     * @param  {string} attr
+     * @return {boolean}
+     */
+    hasChanged: function hasChanged (attr) {
+      if (attr == null) {
+        return !_.isEmpty(this.changed);
+      }
+      // A computed attribute has changed if any of its dependencies has.
+      if (this.computed && _.has(this.computed, attr)) {
+        return _.some(this.computed[attr].deps, this.hasChanged, this);
+      }
+      if (!hasOwn(this.changed, attr) && DEEP_PATH.test(attr)) {
+        return hasOwn(this.changed, toPath(attr)[0]) &&
+          !_.isEqual(getPath(this._previousAttributes, attr), getPath(this.attributes, attr));
+      }
+      return hasOwn(this.changed, attr);
+    },
+
+
+    /**
+     * @function BaseModelClass#changedAttributes
+     * @description Return an object containing all the attributes that have changed, or
+     *              false if there are no changed attributes. Useful for determining what
+     *              parts of a view need to be updated and/or what attributes need to be
+     *              persisted to the server. Unset attributes will be set to undefined.
+     *              You can also pass an attributes object to diff against the model,
+     *              determining if there *would be* a change.
+     * @param  {object} diff
+     * @return {object}
+     */
+    changedAttributes: function changedAttributes (diff) {
+      if (!diff) {
+        return this.hasChanged() ? _.clone(this.changed) : false;
+      }
+      var val, changed = false;
+      var old = this._changing ? this._previousAttributes : this.attributes;
+      for (var attr in diff) {
+        if (_.isEqual(getPath(old, attr), (val = diff[attr]))) {
+          continue;
+        }
+        (changed || (changed = {}))[attr] = val;
+      }
+      return changed;
+    },
+
+
+    /**
+     * @function BaseModelClass#previuos
+     * @description Get the previous value of an attribute, recorded at the time the last
+     *              `"change"` event was fired.
+     * @param  {string} attr
+     * @return {mix}
      */
     previous: function previous (attr) {
       if (attr == null || !this._previousAttributes) {
         return null;
       }
-      return this._previousAttributes[attr];
+      return getPath(this._previousAttributes, attr);
     },
 
 
@@ -480,51 +1325,467 @@ angular.module('angular.models')
      * @description Check if the model is currently in a valid state.
      * @return {boolean}
      */
-    isValid: function isValid (options) {
-      return this.$validate({}, _.extend(options || {}, { validate: true }));
+    isValid: function isValid (attr, options) {
+      if (!_.isString(attr)) {
+        options = attr;
+        attr = null;
+      }
+      var valid = this.$validate(null, _.extend(options || {}, { validate: true }));
+      return attr ? !this.errorsFor(attr).length : valid;
+    },
+
+
+    /**
+     * @function BaseModelClass#errorsFor
+     * @description Return error messages of an attribute found by the last validation,
+     *              either client-side or reported by the server.
+     * @param  {string} attr An attribute name
+     * @return {string[]}
+     */
+    errorsFor: function errorsFor (attr) {
+      var errors = this.validationError && this.validationError.errors;
+      return errors && errors[attr] ? _.clone(errors[attr]) : [];
+    },
+
+
+    /**
+     * @function BaseModelClass#validateAsync
+     * @description Validate the model, then run its asynchronous validators. Errors of
+     *              checked attributes replace their earlier errors in `validationError`.
+     * @param  {object} [attrs] Attributes to check, all of them if omitted
+     * @param  {object} [options] An options. `debounce` overrides debouncing of validators.
+     * @return {Promise} Resolved with the model, or rejected with a `ValidationExceptionClass`
+     */
+    validateAsync: function validateAsync (attrs, options) {
+      options = _.extend({validate: true}, options);
+      if (!this.$validate(_.isEmpty(attrs) ? null : attrs, options)) {
+        return $q.reject(this.validationError);
+      }
+      if (!this.asyncValidators) {
+        return $q.when(this);
+      }
+      return this.$validateAsync(_.extend({}, this.attributes, attrs), _.isEmpty(attrs) ? null : _.keys(attrs), options);
+    },
+
+
+    /**
+     * @function BaseModelClass#isValidating
+     * @description Check if asynchronous validators of an attribute, or of any
+     *              attribute, are pending.
+     * @param  {string} [attr] An attribute name
+     * @return {boolean}
+     */
+    isValidating: function isValidating (attr) {
+      var states = this.$asyncValidation || {};
+      if (attr) {
+        return !!(states[attr] && states[attr].deferred);
+      }
+      return _.some(states, 'deferred');
     },
 
 
     /**
      * @function BaseModelClass#parse
+     * @description Convert a response of the server into a hash of attributes. Applies
+     *              `transformers`, if any.
      * @return {object}
      */
     parse: function parse (response) {
+      if (this.transformers && _.isPlainObject(response)) {
+        return ModelTransformers.parse(this.transformers, response);
+      }
       return response;
     },
 
 
+    /**
+     * @member {boolean} BaseModelClass#optimistic
+     * @description If true, `save` and `destroy` apply their changes right away and revert
+     *              them if the request fails. Can be overridden by `options.optimistic`.
+     * @type {boolean}
+     */
+    optimistic: {value: false, writable: true},
+
+
+    /**
+     * @member {string} BaseModelClass#patchFormat
+     * @description A format of a `PATCH` request body sent by `save({patch: true})`.
+     *              Either 'merge' (default), a hash of changed attributes where removed
+     *              ones are null, or 'json-patch', a list of RFC 6902 operations.
+     * @type {string}
+     */
+    patchFormat: {value: 'merge', writable: true},
+
+
+    /**
+     * @member {string} BaseModelClass#versionAttribute
+     * @description An attribute which holds a version of the record, if the server rejects
+     *              stale versions with 409. ETags are supported without it.
+     * @type {string}
+     */
+    versionAttribute: {value: null, writable: true},
+
+
+    /**
+     * @member {string|Function} BaseModelClass#conflictStrategy
+     * @description How `save` resolves a conflict with a concurrent edit, reported by the server
+     *              with 409 or 412. The server's version is taken from the response body, or
+     *              fetched if the body is empty. Strategies are:
+     *
+     *              * `'server-wins'` - the server's version is set and local changes are dropped
+     *              * `'client-wins'` - local changes are saved again over the server's version
+     *              * `'merge'`       - a field level three-way merge of the last synced snapshot,
+     *                                  the local and the server's versions. Fields changed on both
+     *                                  sides to different values are unresolvable: they keep local
+     *                                  values, are exposed by {@link BaseModelClass#conflicts}, and
+     *                                  the save rejects until they are resolved and saved again.
+     *              * `function (local, server, base, model)` - returns (or resolves with) the
+     *                attributes to save, or false to reject
+     *
+     *              Every resolution fires `"conflict"`. A save tries to resolve a conflict once.
+     *              A single call accepts a `conflictStrategy` option as well.
+     * @type {string|Function}
+     *
+     * @example
+     * var Document = BaseModelClass.extend({
+     *   urlRoot: {value: '/documents'},
+     *   versionAttribute: {value: 'version'},
+     *   conflictStrategy: {value: 'merge'}
+     * });
+     *
+     * document.save().catch(function (error) {
+     *   document.conflicts; //-> {title: {base: 'Draft', local: 'Mine', server: 'Theirs'}}
+     * });
+     */
+    conflictStrategy: {value: null, writable: true},
+
+
+    /**
+     * @member {Object} BaseModelClass#conflicts
+     * @description Fields which could not be merged by the last conflict resolution,
+     *              as a hash of `{base, local, server}` values by attribute name.
+     *              It is null if there are none.
+     * @type {Object}
+     */
+    conflicts: {value: null, writable: true},
+
+
     /**
      * @function BaseModelClass#save
+     * @description Save the model to the server. Accepts `(options)`, `(attrs, options)` or
+     *              `("key", value, options)`, in which case the attributes are set first.
+     *              A single hash is always taken as options, so pass `null` options to save
+     *              attributes alone: `save({title: 'Architect'}, null)`.
+     *              If `options.patch` is true and the model is not new, only attributes
+     *              which differ from the state last returned by the server are sent
+     *              with a `PATCH` request. Pass `options.patchFormat` to override
+     *              {@link BaseModelClass#patchFormat} for one call.
+     *
+     *              Attributes are set right away by default. If `options.wait` is true, they
+     *              are sent to the server and set only once it responds. If `options.optimistic`
+     *              is true, they are set right away and restored if the request fails,
+     *              firing `"rollback"`.
+     * @param  {object|string} [attrs] A hash of attributes to set before saving, or a key
+     * @param  {object} options  An options
      * @return {Promise}
+     *
+     * @example <caption>Send only changed attributes</caption>
+     * var person = new Person({id: 1, name: 'Eugene', title: 'Developer'});
+     * person.save({title: 'Architect'}, {patch: true}); //-> PATCH /persons/1 {"title":"Architect"}
+     * person.save('title', 'Architect', {patch: true}); //-> the same
      */
-    save: function save (options) {
+    save: function save (attrs, options) {
+      // Handle `save(options)`, `save(attrs, options)` and `save("key", value, options)` -style arguments.
+      if (typeof attrs === 'string') {
+        attrs = _.zipObject([attrs], [options]);
+        options = arguments[2];
+      }
+      else if (arguments.length < 2) {
+        options = attrs;
+        attrs = null;
+      }
       options = _.extend({validate: true}, options);
       var model = this;
-      var operation = model.isNew() ? 'create' : 'update';
+      var wait = options.wait;
+      var optimistic = !wait && (_.has(options, 'optimistic') ? options.optimistic : model.optimistic);
+      var conflictStrategy = _.has(options, 'conflictStrategy') ? options.conflictStrategy : model.conflictStrategy;
 
       return $q(function (resolve, reject) {
-        if (!model.url()) {
-          return reject();
+        var operation, attributes, restore, validated;
+        var fail = function (error) {
+          if (restore) {
+            restore();
+          }
+          reject(error);
+        };
+        // A retry after a conflict has been confirmed already.
+        var hooks = !options.conflictRetry;
+
+        if (!model.$syncAdapter() && !model.url()) {
+          return reject(new BaseExceptionClass('A "url" property or function must be specified'));
+        }
+
+        proceed(hooks && model.$hook('beforeValidate', [attrs, options]), validate, reject);
+
+        function validate () {
+          if (attrs && !wait) {
+            restore = optimistic ? model.$restorePoint(_.keys(attrs), options) : null;
+            if (model.$set(attrs, _.extend({}, options)) === false) {
+              return reject(model.validationError);
+            }
+          }
+
+          // Temporarily apply `attrs` of a waiting save to validate and send them.
+          if (attrs && wait) {
+            attrs = model.schema ? ModelSchema.coerce(model.schema, attrs) : attrs;
+            attributes = model.attributes;
+            model.attributes = _.extend({}, attributes, attrs);
+          }
+
+          if (!model.$validate(null, options)) {
+            if (attributes) {
+              model.attributes = attributes;
+            }
+            return fail(model.validationError);
+          }
+
+          // Asynchronous validators are awaited before the model is sent.
+          if (options.validate && model.asyncValidators) {
+            validated = model.$validateAsync(_.clone(model.attributes), null, _.extend({}, options, {debounce: 0}));
+          }
+          if (attributes) {
+            model.attributes = attributes;
+          }
+          if (validated) {
+            return validated.then(beforeSave, fail);
+          }
+          beforeSave();
         }
 
-        if (!model.$validate({}, options)) {
-          return reject(model.validationError);
+        function beforeSave () {
+          proceed(hooks && model.$hook('beforeSave', [options]), send, fail);
         }
 
-        options.success = function success (response) {
-          if (!model.$set(model.parse(response))) {
-            return reject(response);
+        function send () {
+          if (attrs && wait) {
+            attributes = model.attributes;
+            model.attributes = _.extend({}, attributes, attrs);
           }
-          model.trigger('sync', model);
-          resolve(model);
-        };
-        WrapError(model, reject, options);
-        model.sync(operation, model, options);
+
+          operation = model.isNew() ? 'create' : (options.patch ? 'patch' : 'update');
+          if (operation === 'patch') {
+            model.$patch(options);
+          }
+
+          options.success = function success (response) {
+            // A queued save succeeds before `sync` returns, while `attrs` are still applied.
+            release();
+            if (options.queued) {
+              if (wait && attrs) {
+                model.$set(attrs);
+              }
+              return proceed(model.$hook('afterSave', [response, options]), _.partial(resolve, model), reject);
+            }
+            var serverAttrs = model.parse(response);
+            if (wait) {
+              serverAttrs = _.extend({}, attrs, serverAttrs);
+            }
+            if (!model.$set(serverAttrs, {paths: false})) {
+              return reject(model.validationError);
+            }
+            model.conflicts = null;
+            model.$snapshot();
+            model.trigger('sync', model);
+            proceed(model.$hook('afterSave', [response, options]), _.partial(resolve, model), reject);
+          };
+          WrapError(model, function (error) {
+            if (error instanceof ConflictExceptionClass && conflictStrategy && !options.conflictRetry) {
+              return model.$resolveConflict(error, conflictStrategy, wait ? attrs : null, options).then(resolve, fail);
+            }
+            if (error instanceof UnprocessableEntityExceptionClass) {
+              error = model.$serverValidationError(error, options) || error;
+            }
+            release();
+            fail(error);
+          }, options);
+          model.sync(operation, model, options);
+          release();
+        }
+
+        // Put back the attributes of the model which were replaced to send a waiting save.
+        function release () {
+          if (attributes) {
+            model.attributes = attributes;
+            attributes = null;
+          }
+        }
       });
     },
 
 
+    /**
+     * @function BaseModelClass~$resolveConflict
+     * @private
+     * @description Resolve a conflict reported by the server and save the model again.
+     * @param  {ConflictExceptionClass} error A conflict
+     * @param  {string|Function} strategy A conflict strategy
+     * @param  {object} attrs   Attributes of a waiting save which are not set yet
+     * @param  {object} options Options of the save
+     * @return {Promise}
+     */
+    $resolveConflict: function $resolveConflict (error, strategy, attrs, options) {
+      var model = this;
+      var relations = _.keys(this.relations);
+      var base = this.syncedAttributes() || {};
+      var local = _.extend(_.omit(this.attributes, relations), attrs);
+
+      return this.$serverAttributes(error).then(function (server) {
+        var resolution;
+        var theirs = _.omit(server, relations);
+
+        if (strategy === 'server-wins') {
+          resolution = null;
+        }
+        else if (strategy === 'client-wins') {
+          resolution = {attrs: _.extend({}, local, _.pick(theirs, model.versionAttribute)), conflicts: {}};
+        }
+        else if (strategy === 'merge') {
+          resolution = threeWayMerge(base, local, theirs);
+        }
+        else if (_.isFunction(strategy)) {
+          resolution = $q.when(strategy.call(model, local, theirs, base, model)).then(function (resolved) {
+            return resolved ? {attrs: resolved, conflicts: {}} : $q.reject(error);
+          });
+        }
+        else {
+          return $q.reject(error);
+        }
+
+        return $q.when(resolution).then(function (resolution) {
+          var removed;
+
+          model.$set(server, {paths: false});
+          model.$snapshot();
+          model.conflicts = resolution && !_.isEmpty(resolution.conflicts) ? resolution.conflicts : null;
+          model.trigger('conflict', model, error.data, error.status, {strategy: strategy, server: theirs, conflicts: model.conflicts});
+
+          if (!resolution) {
+            model.trigger('sync', model);
+            return model;
+          }
+
+          removed = _.difference(_.keys(_.omit(model.attributes, relations)), _.keys(resolution.attrs));
+          model.$set(resolution.attrs, {paths: false});
+          if (removed.length) {
+            model.$set(_.zipObject(removed), {unset: true, paths: false});
+          }
+          if (model.conflicts) {
+            error.conflicts = model.conflicts;
+            return $q.reject(error);
+          }
+          return model.save(null, _.extend(_.omit(options, 'success', 'error', 'cancel', 'attrs'), {
+            conflictRetry: true,
+            wait: false
+          }));
+        });
+      });
+    },
+
+
+    /**
+     * @function BaseModelClass~$serverAttributes
+     * @private
+     * @description Get the server's version of a conflicting model, either from the conflict
+     *              response or by fetching it.
+     * @param  {ConflictExceptionClass} error A conflict
+     * @return {Promise}
+     */
+    $serverAttributes: function $serverAttributes (error) {
+      var model = this;
+
+      if (_.isPlainObject(error.data) && !_.isEmpty(error.data)) {
+        model.etag = error.version.etag || model.etag;
+        model.lastModified = error.version.lastModified || model.lastModified;
+        return $q.when(model.parse(error.data));
+      }
+      return $q(function (resolve, reject) {
+        model.sync('read', model, {
+          conditional: false,
+          dedupe: false,
+          success: function (response) {
+            resolve(model.parse(response));
+          },
+          error: function () {
+            reject(error);
+          }
+        });
+      });
+    },
+
+
+    /**
+     * @function BaseModelClass~$restorePoint
+     * @private
+     * @description Remember current values of attributes.
+     * @param  {string[]} keys    Attribute names
+     * @param  {object}   options An options passed along with the `"rollback"` event
+     * @return {Function} A function which restores the remembered values
+     */
+    $restorePoint: function $restorePoint (keys, options) {
+      var model = this;
+      var attrs = _.pick(this.attributes, keys);
+      var removed = {};
+
+      _.each(keys, function (attr) {
+        if (!_.has(attrs, attr)) {
+          removed[attr] = void 0;
+        }
+      });
+
+      return function restore () {
+        if (!_.isEmpty(attrs)) {
+          model.$set(attrs);
+        }
+        if (!_.isEmpty(removed)) {
+          model.$set(removed, {unset: true});
+        }
+        model.trigger('rollback', model, {attributes: keys}, options);
+      };
+    },
+
+
+    /**
+     * @function BaseModelClass~$patch
+     * @private
+     * @description Put attributes which differ from the state last returned by the server
+     *              into `options.attrs`, in the format of `patchFormat`.
+     * @param {object} options Options of the `save` call
+     */
+    $patch: function $patch (options) {
+      var transformers = this.transformers;
+      var synced = this._syncedAttributes || {};
+      var dirty = _.omit(this.dirtyAttributes() || {}, _.union(this.readOnlyAttributes, this.transientAttributes));
+      var format = options.patchFormat || this.patchFormat;
+
+      if (format === 'json-patch') {
+        options.attrs = _.map(dirty, function (value, attr) {
+          var path = '/' + attr.replace(/~/g, '~0').replace(/\//g, '~1');
+          if (value === void 0) {
+            return {op: 'remove', path: path};
+          }
+          value = ModelTransformers.serializeValue(transformers, attr, _.cloneDeep(value));
+          return {op: _.has(synced, attr) ? 'replace' : 'add', path: path, value: value};
+        });
+        options.headers = _.extend({'content-type': 'application/json-patch+json'}, options.headers);
+      }
+      else {
+        options.attrs = _.mapValues(dirty, function (value, attr) {
+          return value === void 0 ? null : ModelTransformers.serializeValue(transformers, attr, _.cloneDeep(value));
+        });
+      }
+    },
+
+
     /**
      * @function BaseModelClass#fetch
      * @description Fetch the document from the server.
@@ -534,16 +1795,35 @@ angular.module('angular.models')
       var model = this;
       options = _.extend({}, options);
 
+      // A 304 would leave unsynced changes in place.
+      if (model.isDirty()) {
+        options.conditional = false;
+      }
+
       return $q(function (resolve, reject) {
         options.success = function (response) {
-          if (!model.$set(model.parse(response))) {
-            return reject(response);
+          var attrs, stored;
+          if (options.notModified) {
+            return resolve(model);
+          }
+          attrs = model.parse(response);
+          if (!model.$set(attrs, {paths: false})) {
+            return reject(model.validationError);
           }
+          // A model built with `new` is not the stored one, keep the stored one up to date.
+          stored = model.identityMap ? ModelStore.get(model.constructor, model.id) : null;
+          if (stored && stored !== model) {
+            stored.$set(attrs, {paths: false});
+            stored.$snapshot();
+          }
+          model.$snapshot();
           model.trigger('fetched', model, response);
-          resolve(model);
+          proceed(model.$hook('afterFetch', [response, options]), _.partial(resolve, model), reject);
         };
         WrapError(model, reject, options);
-        model.sync('read', model, options);
+        proceed(model.$hook('beforeFetch', [options]), function () {
+          model.sync('read', model, options);
+        }, reject);
       });
     },
 
@@ -551,30 +1831,56 @@ angular.module('angular.models')
     /**
      * @function BaseModelClass#destroy
      * @description Destroy this model on the server if it was already persisted.
+     *              The model is removed from its collection once the server responds.
+     *              If `options.wait` is false, it is removed right away. If `options.optimistic`
+     *              is true, it is removed right away and added back at the same position if
+     *              the request fails, firing `"rollback"`.
      * @return {Promise}
      */
     destroy: function destroy (options) {
       options = _.extend({}, options);
       var model = this;
+      var collection = model.collection;
+      var optimistic = _.has(options, 'optimistic') ? options.optimistic : model.optimistic;
+      var wait = _.has(options, 'wait') ? options.wait : !optimistic;
+      var index = -1;
 
       var destroy = function() {
-        model.trigger('destroy', model, model.collection, options);
+        model.trigger('destroy', model, collection, options);
       };
 
       return $q(function (resolve, reject) {
-        options.success = function(resp) {
-          if (!model.isNew()) {
-            model.trigger('sync', model, resp, options);
+        var fail = function (error) {
+          if (optimistic && index !== -1) {
+            collection.add(model, {at: index});
+            model.trigger('rollback', model, {collection: collection, index: index}, options);
           }
-          destroy();
-          resolve(model);
+          reject(error);
         };
-        // If model is new just call 'success' method without send a request on a server
-        if (model.isNew()) {
-          return options.success();
+
+        proceed(model.$hook('beforeDestroy', [options]), send, reject);
+
+        function send () {
+          if (!wait && collection && !model.isNew()) {
+            index = collection.indexOf(model);
+            collection.remove(model, _.clone(options));
+          }
+
+          options.success = function(resp) {
+            if (!model.isNew() && !options.queued) {
+              model.trigger('sync', model, resp, options);
+            }
+            destroy();
+            proceed(model.$hook('afterDestroy', [options]), _.partial(resolve, model), reject);
+          };
+          // If model is new just call 'success' method without send a request on a server
+          if (model.isNew()) {
+            ModelOutbox.discard(model);
+            return options.success();
+          }
+          WrapError(model, fail, options);
+          model.sync('delete', model, options);
         }
-        WrapError(model, reject, options);
-        model.sync('delete', model, options);
       });
     },
 
@@ -637,19 +1943,232 @@ angular.module('angular.models')
      * @private
      * @description Run validation against the next complete set of model attributes,
      *              returning `true` if all is well. Otherwise, fire an `"invalid"` event.
+     *              Attributes being written are checked against the schema first. When
+     *              `attrs` is null, e.g. by `save`, the whole schema and all of the validation
+     *              rules are checked, including `required` attributes.
+     * @param  {object|null} attrs Attributes being written
+     * @param  {object} options An options
      * @return {boolean}
      */
     $validate: function $validate (attrs, options) {
-      if (!options.validate || !this.validate) {
+      if (!options.validate || (!this.validate && !this.schema && !this.validations)) {
         return true;
       }
+      var keys = attrs ? _.keys(attrs) : null;
+      var errors = {};
+      var error = null;
       attrs = _.extend({}, this.attributes, attrs);
-      var error = this.validationError = this.validate(attrs, options) || null;
+
+      if (this.schema) {
+        _.extend(errors, ModelSchema.validate(this.schema, attrs, keys));
+      }
+      // Rules are reported only for attributes which passed the schema.
+      if (this.validations) {
+        _.defaults(errors, ModelValidations.validate(this.validations, attrs, keys && _.difference(keys, _.keys(errors)), this));
+      }
+      if (!_.isEmpty(errors)) {
+        error = new ValidationExceptionClass(_.flatten(_.values(errors)).join('; '), errors);
+      }
+      if (!error && this.validate) {
+        error = this.validate(attrs, options);
+      }
+      error = this.validationError = error || null;
       if (!(error instanceof ValidationExceptionClass)) {
         return true;
       }
       this.trigger('invalid', this, error, _.extend(options, {validationError: error}));
       return false;
+    },
+
+
+    /**
+     * @function BaseModelClass#$serverValidationError
+     * @private
+     * @description Translate a 422 response into a validation error. If the response is
+     *              recognized, set `validationError` and fire `"invalid"` as client-side
+     *              validation does.
+     * @param  {UnprocessableEntityExceptionClass} error A failed response
+     * @param  {object} options An options
+     * @return {ValidationExceptionClass|null}
+     */
+    $serverValidationError: function $serverValidationError (error, options) {
+      var format = _.has(options, 'serverErrorFormat') ? options.serverErrorFormat : this.serverErrorFormat;
+      var validationError = ModelServerErrors.exception(error.data, format, error);
+      if (validationError) {
+        this.validationError = validationError;
+        this.trigger('invalid', this, validationError, _.extend(options, {validationError: validationError}));
+      }
+      return validationError;
+    },
+
+
+    /**
+     * @function BaseModelClass#$compute
+     * @private
+     * @description Return a value of a computed attribute. A value of the current attributes
+     *              is cached until a dependency changes.
+     * @param  {string} name  A computed attribute
+     * @param  {object} [attrs] Attributes to compute the value of instead of the current ones
+     * @return {*}
+     */
+    $compute: function $compute (name, attrs) {
+      var cache = attrs ? null : (this.$computedCache || (this.$computedCache = {}));
+      var field = this.computed[name];
+      var values, value;
+
+      if (cache && _.has(cache, name)) {
+        return cache[name];
+      }
+      values = _.map(field.deps, function (dep) {
+        return _.has(this.computed, dep) ? this.$compute(dep, attrs) : (attrs || this.attributes)[dep];
+      }, this);
+      value = field.get.apply(this, values);
+      if (cache) {
+        cache[name] = value;
+      }
+      return value;
+    },
+
+
+    /**
+     * @function BaseModelClass#$updateComputed
+     * @private
+     * @description Drop cached values of computed attributes which depend on changed
+     *              attributes, directly or through other computed attributes.
+     * @param  {string[]} changes Changed attributes
+     * @param  {object} before  Attributes before the changes
+     * @param  {boolean} silent Skip comparing values
+     * @return {string[]} Computed attributes whose values have changed
+     */
+    $updateComputed: function $updateComputed (changes, before, silent) {
+      var cache = this.$computedCache || (this.$computedCache = {});
+      var affected = [];
+      var found = changes;
+      var previous;
+
+      while (found.length) {
+        affected = affected.concat(found);
+        found = _.filter(_.keys(this.computed), function (name) {
+          return !_.includes(affected, name) && _.intersection(this.computed[name].deps, affected).length;
+        }, this);
+      }
+      affected = _.intersection(_.keys(this.computed), affected);
+
+      if (silent) {
+        _.each(affected, function (name) {
+          delete cache[name];
+        });
+        return [];
+      }
+      previous = _.map(affected, function (name) {
+        return _.has(cache, name) ? cache[name] : this.$compute(name, before);
+      }, this);
+      _.each(affected, function (name) {
+        delete cache[name];
+      });
+      return _.filter(affected, function (name, index) {
+        return !_.isEqual(previous[index], this.$compute(name));
+      }, this);
+    },
+
+
+    /**
+     * @function BaseModelClass#$validateAsync
+     * @private
+     * @description Run asynchronous validators and collect their errors.
+     * @param  {object} attrs A complete set of model attributes
+     * @param  {string[]} [keys] Attributes to check, all of them if omitted
+     * @param  {object} options An options
+     * @return {Promise}
+     */
+    $validateAsync: function $validateAsync (attrs, keys, options) {
+      var model = this;
+      var validators = _.keys(this.asyncValidators);
+      keys = keys ? _.intersection(keys, validators) : validators;
+
+      return $q.all(_.map(keys, function (attr) {
+        return model.$runAsyncValidator(attr, attrs, options);
+      }))
+      .then(function (results) {
+        var errors = _.omit(_.zipObject(keys, results), _.isEmpty);
+        var all = _.extend(_.omit(model.validationError ? model.validationError.errors : {}, keys), errors);
+        var error = model.validationError = _.isEmpty(all) ? null : new ValidationExceptionClass(_.flatten(_.values(all)).join('; '), all);
+
+        if (_.isEmpty(errors)) {
+          return model;
+        }
+        model.trigger('invalid', model, error, _.extend(options, {validationError: error}));
+        return $q.reject(error);
+      });
+    },
+
+
+    /**
+     * @function BaseModelClass#$runAsyncValidator
+     * @private
+     * @description Run an asynchronous validator of an attribute once debouncing allows.
+     *              Callers which overlap share the result of the latest run.
+     * @param  {string} attr  An attribute name
+     * @param  {object} attrs A complete set of model attributes
+     * @param  {object} options An options
+     * @return {Promise} Resolved with a list of error messages
+     */
+    $runAsyncValidator: function $runAsyncValidator (attr, attrs, options) {
+      var model = this;
+      var validator = this.asyncValidators[attr];
+      var validate = _.isFunction(validator) ? validator : validator.validate;
+      var debounce = _.has(options, 'debounce') ? options.debounce : validator.debounce;
+      var states = this.$asyncValidation || (this.$asyncValidation = {});
+      var state = states[attr] || (states[attr] = {run: 0});
+      var run = ++state.run;
+
+      function messages(result) {
+        if (result === false) {
+          return [validator.message || '"' + attr + '" is invalid'];
+        }
+        return _.isString(result) ? [result] : _.filter(result, _.isString);
+      }
+
+      function settle(result) {
+        var deferred = state.deferred;
+        // A newer run settles the validation.
+        if (run !== state.run) {
+          return;
+        }
+        state.deferred = null;
+        model.trigger('validated', model, attr, result, options);
+        deferred.resolve(result);
+      }
+
+      function start() {
+        var result;
+        state.timer = null;
+        // A validator which throws is a failed one.
+        try {
+          result = $q.when(validate.call(model, attrs[attr], attrs, model));
+        }
+        catch (error) {
+          result = $q.reject(error);
+        }
+        result
+          .then(messages, function (reason) {
+            return [_.isString(reason) ? reason : (reason && reason.message) || validator.message || '"' + attr + '" is invalid'];
+          })
+          .then(settle);
+      }
+
+      if (!state.deferred) {
+        state.deferred = $q.defer();
+        model.trigger('validating', model, attr, options);
+      }
+      $timeout.cancel(state.timer);
+      if (debounce > 0) {
+        state.timer = $timeout(start, debounce);
+      }
+      else {
+        start();
+      }
+      return state.deferred.promise;
     }
 
   });
@@ -677,6 +2196,64 @@ angular.module('angular.models')
    * });
    */
 
+  /**
+   * @event BaseModelClass#dirty
+   * @description Occured when the model starts or stops to differ from the state last
+   *              returned by the server.
+   * @param {BaseModelClass} model A model
+   * @param {boolean} dirty True if the model became dirty
+   * @param {object} options An options
+   */
+
+  /**
+   * @event BaseModelClass#rollback
+   * @description Occured when attributes have been reverted.
+   * @param {BaseModelClass} model A model
+   * @param {object} reverted A hash with a list of reverted `attributes`
+   * @param {object} options An options
+   */
+
+  /**
+   * @event BaseModelClass#queued
+   * @description Occured when a mutation has been queued in {@link ModelOutbox}.
+   * @param {BaseModelClass} model A model
+   * @param {object} entry A queued entry
+   * @param {object} options An options
+   */
+
+  /**
+   * @event BaseModelClass#replayed
+   * @description Occured when a queued mutation has been accepted by the server.
+   * @param {BaseModelClass} model A model
+   * @param {object} response A response body
+   * @param {object} entry A replayed entry
+   */
+
+  /**
+   * @event BaseModelClass#conflict
+   * @description Occured when the server has rejected a save or a queued mutation with 409 or 412.
+   * @param {BaseModelClass} model A model
+   * @param {object} response A response body
+   * @param {number} status A response status
+   * @param {object} info A dropped outbox entry, or `{strategy, server, conflicts}` of a resolved save
+   */
+
+  /**
+   * @event BaseModelClass#abort
+   * @description Occured when a pending request has been aborted.
+   * @param {BaseModelClass} model A model
+   * @param {CancellationExceptionClass} error A cancellation error
+   * @param {object} options An options
+   */
+
+  /**
+   * @event BaseModelClass#retry
+   * @description Occured when a failed request is going to be sent again.
+   * @param {BaseModelClass} model A model
+   * @param {object} retry `{attempt, maxAttempts, delay, status}` of the next attempt
+   * @param {object} options An options
+   */
+
   /**
    * @event BaseModelClass#sync
    * @description A sync event. Fires everytime when a model approaches a server.
@@ -0,0 +1,410 @@
+'use strict';
+
+angular.module('angular.models')
+
+.factory('BasePaginatedCollectionClass', function ($q, BaseCollectionClass, WrapError, _) {
+
+  var BasePaginatedCollectionClass;
+
+  // Default names of the query parameters.
+  var defaultPageParams = {
+    page: 'page',
+    size: 'per_page',
+    offset: 'offset',
+    limit: 'limit',
+    cursor: 'cursor'
+  };
+
+  // Parses an RFC 5988 `Link` header into a hash of URLs by relation type.
+  function parseLinkHeader(header) {
+    var links = {};
+    _.each(header.split(/,(?=\s*<)/), function (part) {
+      var match = /<([^>]*)>(.*)/.exec(part);
+      if (!match) {
+        return;
+      }
+      var rel = /;\s*rel="?([^";]+)"?/i.exec(match[2]);
+      if (rel) {
+        _.each(_.trim(rel[1]).split(/\s+/), function (name) {
+          links[name.toLowerCase()] = match[1];
+        });
+      }
+    });
+    return links;
+  }
+
+  BasePaginatedCollectionClass = BaseCollectionClass.extend({
+
+    /**
+     * @class BasePaginatedCollectionClass
+     * @augments BaseCollectionClass
+     * @description A collection which loads a resource page by page. Supported pagination
+     *              modes are:
+     *
+     *              * `page`   - sends a page number and a page size (default)
+     *              * `offset` - sends an offset and a limit
+     *              * `cursor` - sends an opaque cursor token returned with the previous page
+     *              * `link`   - follows URLs of an RFC 5988 `Link` header
+     *
+     *              Page metadata is read by {@link BasePaginatedCollectionClass#parsePageInfo}.
+     *              If `append` is true, pages loaded by `nextPage`, `prevPage` and `goToPage`
+     *              are merged into the collection instead of replacing it, which is handy
+     *              for an infinite scroll.
+     * @param {BaseModelClass[]} models An array of BaseModelClass instances.
+     * @param {Object} options An options. Accepts `paginationMode`, `pageSize` and `append`
+     *                         along with options of BaseCollectionClass.
+     *
+     * @example <caption>A collection loaded by cursor tokens</caption>
+     * var Persons = BasePaginatedCollectionClass.extend({
+     *   model: {value: Person},
+     *   url: {value: '/persons'},
+     *   paginationMode: {value: 'cursor'},
+     *   append: {value: true},
+     *   parse: {value: 'items'},
+     *   parsePageInfo: {
+     *     value: function (response) {
+     *       return {nextCursor: response.next, totalCount: response.total};
+     *     }
+     *   }
+     * });
+     *
+     * var persons = new Persons();
+     * persons.fetch(); //-> GET /persons?per_page=20
+     * persons.nextPage(); //-> GET /persons?cursor=abc&per_page=20
+     * persons.hasMore(); //-> false
+     */
+    constructor: function (models, options) {
+      options = options || {};
+      _.extend(this, _.pick(options, 'paginationMode', 'pageSize', 'append'));
+      this.pageInfo = {
+        page: this.firstPage,
+        offset: 0,
+        cursor: null,
+        nextCursor: null,
+        prevCursor: null,
+        links: {},
+        totalCount: null,
+        hasMore: null,
+        count: 0
+      };
+      BaseCollectionClass.apply(this, arguments);
+    },
+
+
+    /**
+     * @member {string} BasePaginatedCollectionClass#paginationMode
+     * @description One of 'page', 'offset', 'cursor' or 'link'.
+     * @type {string}
+     */
+    paginationMode: {value: 'page', writable: true},
+
+
+    /**
+     * @member {number} BasePaginatedCollectionClass#pageSize
+     * @description A number of models per page.
+     * @type {number}
+     */
+    pageSize: {value: 20, writable: true},
+
+
+    /**
+     * @member {number} BasePaginatedCollectionClass#firstPage
+     * @description A number of the first page.
+     * @type {number}
+     */
+    firstPage: {value: 1, writable: true},
+
+
+    /**
+     * @member {Object} BasePaginatedCollectionClass#pageParams
+     * @description Names of the query parameters. Keys are `page`, `size`, `offset`,
+     *              `limit` and `cursor`. Missing keys fall back to the defaults.
+     * @type {Object}
+     */
+    pageParams: {value: {}, writable: true},
+
+
+    /**
+     * @member {boolean} BasePaginatedCollectionClass#append
+     * @description If true, loaded pages are merged into the collection.
+     * @type {boolean}
+     */
+    append: {value: false, writable: true},
+
+
+    /**
+     * @function BasePaginatedCollectionClass#parsePageInfo
+     * @description Reads page metadata from a response. Override it if the server returns
+     *              metadata in the response body. By default it reads a `Link` header and
+     *              an `X-Total-Count` header.
+     * @param  {Object}   response A response body
+     * @param  {Function} headers  Headers getter
+     * @param  {Object}   options  An options
+     * @return {Object} A hash which may contain `totalCount`, `hasMore`, `nextCursor`,
+     *                  `prevCursor` and `links`.
+     */
+    parsePageInfo: function parsePageInfo(response, headers) {
+      var info = {};
+      var link = headers && headers('Link');
+      var total = headers && headers('X-Total-Count');
+
+      if (link) {
+        info.links = parseLinkHeader(link);
+      }
+      if (total != null && total !== '') {
+        info.totalCount = parseInt(total, 10);
+      }
+      return info;
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#fetch
+     * @description Fetch the current page from the server, replacing the collection's models.
+     *              The first page is fetched if no page was loaded yet.
+     * @return {Promise}
+     */
+    fetch: function fetch (options) {
+      var info = this.pageInfo;
+      return this.$fetchPage({
+        page: info.page,
+        offset: info.offset,
+        cursor: info.cursor,
+        url: info.url
+      }, options);
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#nextPage
+     * @description Fetch the next page.
+     * @return {Promise}
+     */
+    nextPage: function nextPage (options) {
+      var info = this.pageInfo;
+      var target = {page: info.page + 1, offset: info.offset + this.pageSize};
+
+      if (this.paginationMode === 'cursor') {
+        if (info.nextCursor == null) {
+          return $q.reject(new Error('There is no next page'));
+        }
+        target.cursor = info.nextCursor;
+      }
+      else if (this.paginationMode === 'link') {
+        if (!info.links.next) {
+          return $q.reject(new Error('There is no next page'));
+        }
+        target.url = info.links.next;
+      }
+      return this.$fetchPage(target, _.extend({remove: !this.append}, options));
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#prevPage
+     * @description Fetch the previous page.
+     * @return {Promise}
+     */
+    prevPage: function prevPage (options) {
+      var info = this.pageInfo;
+      var target = {page: info.page - 1, offset: Math.max(0, info.offset - this.pageSize)};
+
+      if (!this.hasPrevious()) {
+        return $q.reject(new Error('There is no previous page'));
+      }
+      if (this.paginationMode === 'cursor') {
+        target.cursor = info.prevCursor;
+      }
+      else if (this.paginationMode === 'link') {
+        target.url = info.links.prev;
+      }
+      return this.$fetchPage(target, _.extend({remove: !this.append}, options));
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#goToPage
+     * @description Fetch a page by its number. Cursor and link modes can only go to
+     *              the first page.
+     * @param  {number} page A page number
+     * @return {Promise}
+     */
+    goToPage: function goToPage (page, options) {
+      var cursorBased = this.paginationMode === 'cursor' || this.paginationMode === 'link';
+      if (cursorBased && page !== this.firstPage) {
+        return $q.reject(new Error('Can not go to a page in the "' + this.paginationMode + '" mode'));
+      }
+      return this.$fetchPage({
+        page: page,
+        offset: (page - this.firstPage) * this.pageSize,
+        cursor: null,
+        url: null
+      }, _.extend({remove: !this.append}, options));
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#hasMore
+     * @description Returns true if there is a page after the last loaded one.
+     * @return {boolean}
+     */
+    hasMore: function hasMore () {
+      var info = this.pageInfo;
+      if (_.isBoolean(info.hasMore)) {
+        return info.hasMore;
+      }
+      if (this.paginationMode === 'cursor') {
+        return info.nextCursor != null;
+      }
+      if (this.paginationMode === 'link') {
+        return !!info.links.next;
+      }
+      if (info.totalCount != null) {
+        return this.$pageOffset() + info.count < info.totalCount;
+      }
+      return info.count >= this.pageSize;
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#hasPrevious
+     * @description Returns true if there is a page before the last loaded one.
+     * @return {boolean}
+     */
+    hasPrevious: function hasPrevious () {
+      var info = this.pageInfo;
+      if (this.paginationMode === 'cursor') {
+        return info.prevCursor != null;
+      }
+      if (this.paginationMode === 'link') {
+        return !!info.links.prev;
+      }
+      return this.$pageOffset() > 0;
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#totalCount
+     * @description Returns a total number of models on the server, or null if the server
+     *              did not tell it.
+     * @return {number|null}
+     */
+    totalCount: function totalCount () {
+      return this.pageInfo.totalCount;
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass#totalPages
+     * @description Returns a total number of pages, or null if the total count is unknown.
+     * @return {number|null}
+     */
+    totalPages: function totalPages () {
+      var total = this.pageInfo.totalCount;
+      return total == null ? null : Math.ceil(total / this.pageSize);
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass~$pageOffset
+     * @private
+     * @return {number} An offset of the last loaded page
+     */
+    $pageOffset: function $pageOffset () {
+      if (this.paginationMode === 'offset') {
+        return this.pageInfo.offset;
+      }
+      return (this.pageInfo.page - this.firstPage) * this.pageSize;
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass~$pageQueryParams
+     * @private
+     * @description Returns query parameters which request a given page.
+     * @return {Object}
+     */
+    $pageQueryParams: function $pageQueryParams (target) {
+      var names = _.extend({}, defaultPageParams, this.pageParams);
+      var params = {};
+
+      switch (this.paginationMode) {
+      case 'offset':
+        params[names.offset] = target.offset;
+        params[names.limit] = this.pageSize;
+        break;
+      case 'cursor':
+        if (target.cursor != null) {
+          params[names.cursor] = target.cursor;
+        }
+        params[names.size] = this.pageSize;
+        break;
+      case 'link':
+        if (!target.url) {
+          params[names.size] = this.pageSize;
+        }
+        break;
+      default:
+        params[names.page] = target.page;
+        params[names.size] = this.pageSize;
+      }
+      return params;
+    },
+
+
+    /**
+     * @function BasePaginatedCollectionClass~$fetchPage
+     * @private
+     * @description Fetch a page and update the page metadata once it is loaded.
+     * @return {Promise}
+     */
+    $fetchPage: function $fetchPage (target, options) {
+      var self = this;
+      options = _.extend({}, options, {parse: true});
+      options.params = _.extend(this.$pageQueryParams(target), options.params);
+      if (target.url) {
+        options.url = target.url;
+      }
+
+      return $q(function (resolve, reject) {
+        options.success = function success (response, status, headers) {
+          if (options.notModified) {
+            return resolve(self);
+          }
+          var info = self.parsePageInfo(response, headers, options) || {};
+          var models = self.$set(response, options);
+          self.$snapshotModels(models);
+
+          self.pageInfo = {
+            page: target.page,
+            offset: target.offset,
+            cursor: target.cursor == null ? null : target.cursor,
+            url: target.url || null,
+            nextCursor: info.nextCursor == null ? null : info.nextCursor,
+            prevCursor: info.prevCursor == null ? null : info.prevCursor,
+            links: info.links || {},
+            totalCount: info.totalCount == null ? null : info.totalCount,
+            hasMore: _.isBoolean(info.hasMore) ? info.hasMore : null,
+            count: _.isArray(models) ? models.length : (models ? 1 : 0)
+          };
+          self.trigger('page', self, self.pageInfo, options);
+          self.trigger('fetched', self);
+          resolve(self);
+        };
+
+        WrapError(self, reject, options);
+        self.sync('read', self, options);
+      });
+    }
+  });
+
+  /**
+   * @event BasePaginatedCollectionClass#page
+   * @description Fires when a page has been loaded.
+   * @param {BasePaginatedCollectionClass} collection A collection
+   * @param {Object} pageInfo Metadata of the loaded page
+   * @param {Object} options An options
+   */
+
+  return BasePaginatedCollectionClass;
+});
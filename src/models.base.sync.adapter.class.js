@@ -0,0 +1,131 @@
+'use strict';
+
+angular.module('angular.models')
+
+.factory('BaseSyncAdapterClass', function ($q, BaseClass, _) {
+
+  // Applies top level operations of a JSON Patch document to a record.
+  function applyJsonPatch(record, operations) {
+    _.each(operations, function (operation) {
+      var attr = operation.path.replace(/^\//, '').replace(/~1/g, '/').replace(/~0/g, '~');
+      if (operation.op === 'remove') {
+        delete record[attr];
+      }
+      else {
+        record[attr] = operation.value;
+      }
+    });
+    return record;
+  }
+
+  /**
+   * @class BaseSyncAdapterClass
+   * @description A base class of sync adapters which persist models on the client side.
+   *              It maps CRUD operations to four storage primitives which subclasses must
+   *              implement: `$getAll`, `$getOne`, `$put` and `$remove`. Every primitive
+   *              returns a promise.
+   *
+   *              Models and collections are kept in stores named after their
+   *              {@link BaseSyncClass#storeName}, or their URL if no name was given.
+   *              Records are written as `toJSON` returns them, since `toPayload` describes
+   *              a request to a server.
+   *              Like `$http`, an adapter calls `options.success` or `options.error`
+   *              and returns a promise which resolves with `{data, status, headers, config}`.
+   */
+  return BaseClass.extend({
+
+    /**
+     * @function BaseSyncAdapterClass#sync
+     * @param  {string} method  One of a CRUD operations: create, read, update, patch or delete
+     * @param  {BaseModelClass|BaseCollectionClass} model A model or a collection
+     * @param  {Object} options An options
+     * @return {Promise}
+     */
+    sync: function sync(method, model, options) {
+      var self = this;
+      var store = this.storeName(model);
+      var isCollection = _.isArray(model.models);
+      var idAttribute = (isCollection ? model.model.prototype.idAttribute : model.idAttribute) || 'id';
+      var config = {method: method, url: store};
+      var data, request;
+
+      options = options || {};
+
+      if (method === 'create' || method === 'update') {
+        data = _.cloneDeep(options.attrs || model.toJSON(options));
+        if (data[idAttribute] == null) {
+          data[idAttribute] = method === 'create' ? this.generateId() : model.id;
+        }
+      }
+
+      switch (method) {
+      case 'read':
+        request = isCollection ? this.$getAll(store) : this.$getOne(store, model.id);
+        break;
+      case 'create':
+      case 'update':
+        request = this.$put(store, data[idAttribute], data).then(_.constant(data));
+        break;
+      case 'patch':
+        request = this.$getOne(store, model.id).then(function (record) {
+          var attrs = _.cloneDeep(options.attrs || model.toJSON(options));
+          record = _.isArray(attrs) ? applyJsonPatch(record || {}, attrs) : _.extend(record || {}, attrs);
+          return self.$put(store, model.id, record).then(_.constant(record));
+        });
+        break;
+      case 'delete':
+        request = this.$remove(store, model.id).then(_.constant(null));
+        break;
+      default:
+        request = $q.reject(new Error('Unknown sync method "' + method + '"'));
+      }
+
+      return request.then(function (response) {
+        if (response === void 0) {
+          return $q.reject({data: 'Not found', status: 404});
+        }
+        return response;
+      })
+      .then(function (response) {
+        var headers = _.constant(null);
+        if (options.success) {
+          options.success(response, 200, headers, config);
+        }
+        return {data: response, status: 200, headers: headers, config: config};
+      }, function (error) {
+        var data = error && _.has(error, 'status') ? error.data : error;
+        var status = error && _.has(error, 'status') ? error.status : 0;
+        if (options.error) {
+          options.error(data, status, _.constant(null), config);
+        }
+        return $q.reject({data: data, status: status, config: config});
+      });
+    },
+
+    /**
+     * @function BaseSyncAdapterClass#storeName
+     * @description Returns a name of a store where a model or a collection is kept.
+     * @param  {BaseModelClass|BaseCollectionClass} model A model or a collection
+     * @return {string}
+     */
+    storeName: function storeName(model) {
+      var name = _.result(model, 'storeName');
+      if (!name) {
+        name = _.isArray(model.models) ? _.result(model, 'url') : (_.result(model, 'urlRoot') || _.result(model.collection, 'url'));
+      }
+      if (!name) {
+        throw new Error('A "storeName" or "url" property must be specified');
+      }
+      return name;
+    },
+
+    /**
+     * @function BaseSyncAdapterClass#generateId
+     * @description Returns an id for a new record.
+     * @return {string}
+     */
+    generateId: function generateId() {
+      return new Date().getTime().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+  });
+});
@@ -13,13 +13,67 @@ angular.module('angular.models')
     'read':   'GET'
   };
 
+  // Names of services which implement sync adapters.
+  var ADAPTERS = {
+    'localStorage': 'LocalStorageSyncAdapter',
+    'indexedDB':    'IndexedDBSyncAdapter'
+  };
+
+  // The default retry policy. Failed requests are not retried unless `maxAttempts` is raised.
+  var RETRY_POLICY = {
+    maxAttempts: 1,
+    delay: 500,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: 0.5,
+    statuses: [-1, 0, 408, 429, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+  };
+
   this.setOperation = function setOperation(operation, method) {
     if (CRUD_MAP.hasOwnProperty(operation)) {
       CRUD_MAP[operation] = method;
     }
   };
 
-  this.$get = /*@ngInject*/ function($http, _, Extend, BaseEventClass) {
+  /**
+   * @function BaseSyncClassProvider#registerAdapter
+   * @description Registers a sync adapter under a name which can be used as a
+   *              `syncAdapter` of models and collections.
+   * @param {string} name    An adapter name
+   * @param {string} service A name of a service which implements the adapter
+   */
+  this.registerAdapter = function registerAdapter(name, service) {
+    ADAPTERS[name] = service;
+  };
+
+  /**
+   * @function BaseSyncClassProvider#setRetryPolicy
+   * @description Changes the default retry policy of failed requests. Accepted keys:
+   *
+   *              * `maxAttempts` - a number of attempts including the first one (1)
+   *              * `delay`       - a delay before the first retry in milliseconds (500)
+   *              * `factor`      - a multiplier of the delay for every next retry (2)
+   *              * `maxDelay`    - the longest delay in milliseconds (30000)
+   *              * `jitter`      - a fraction of the delay which is randomized (0.5)
+   *              * `statuses`    - retryable response statuses, 0 and -1 stand for a lost connection
+   *              * `methods`     - retryable HTTP methods, idempotent ones by default
+   *
+   *              A `Retry-After` header of a response overrides the computed delay, both are
+   *              limited by `maxDelay`.
+   * @param {Object} policy A retry policy
+   *
+   * @example
+   * angular.module('myProject', ['angular.models'])
+   *   .config(function (BaseSyncClassProvider) {
+   *     BaseSyncClassProvider.setRetryPolicy({maxAttempts: 4, delay: 1000});
+   *   });
+   */
+  this.setRetryPolicy = function setRetryPolicy(policy) {
+    angular.extend(RETRY_POLICY, policy);
+  };
+
+  this.$get = /*@ngInject*/ function($http, $q, $timeout, $injector, _, Extend, BaseEventClass, CancellationExceptionClass, HttpError, ModelOutbox) {
     /**
      * @class BaseSyncClass
      * @description Override this function to change the manner in which Backbone persists
@@ -42,6 +96,91 @@ angular.module('angular.models')
 
     // proto = BaseSyncClass.prototype = Object.create(BaseEventClass.prototype);
 
+    // Reads in flight by a method, a URL and query params.
+    var inflight = {};
+    // Identifies a resource by a URL and query params sorted by name.
+    function resourceKey(params) {
+      var query = _.map(_.keys(params.params).sort(), function (name) {
+        return [name, params.params[name]];
+      });
+      return params.url + ' ' + angular.toJson(query);
+    }
+    // Identifies a request by a method, a resource and its conditions.
+    function requestKey(params) {
+      var conditions = _.pick(params.headers, 'If-None-Match', 'If-Modified-Since');
+      return params.method + ' ' + resourceKey(params) + ' ' + angular.toJson(conditions);
+    }
+
+    // Keeps `success` and `error` of the `$http` promise on a sync request.
+    function legacyCallbacks(promise) {
+      promise.success = function (fn) {
+        promise.then(function (response) {
+          fn(response.data, response.status, response.headers, response.config);
+        });
+        return promise;
+      };
+      promise.error = function (fn) {
+        promise.then(null, function (response) {
+          if (!(response instanceof CancellationExceptionClass)) {
+            fn(response.data, response.status, response.headers, response.config);
+          }
+        });
+        return promise;
+      };
+      return promise;
+    }
+
+    // Mutations waiting for a bulk request by a bulk endpoint.
+    var batches = {};
+
+    // The default bulk request format: an array of requests.
+    function serializeBatch(requests) {
+      return _.map(requests, function (request) {
+        return _.pick(request, 'method', 'url', 'params', 'headers', 'body');
+      });
+    }
+
+    // The default bulk response format: an array of `{status, body, headers}` in the order of requests.
+    function parseBatch(data) {
+      return data;
+    }
+
+    function flushBatch(url) {
+      var batch = batches[url];
+      var requests = _.reject(batch.requests, 'aborted');
+      delete batches[url];
+
+      if (!requests.length) {
+        return;
+      }
+      $http({
+        method: batch.options.method,
+        url: url,
+        data: batch.options.serialize(requests),
+        headers: {'accept': 'application/json, text/plain, */*', 'content-type': 'application/json'}
+      })
+      .then(function (response) {
+        var results = batch.options.parse(response.data, response.headers) || [];
+        _.each(requests, function (request, index) {
+          var result = results[index] || {status: 0};
+          var headers = _.mapKeys(result.headers || {}, function (value, name) {
+            return name.toLowerCase();
+          });
+          var getter = function (name) {
+            return name ? headers[name.toLowerCase()] || null : headers;
+          };
+          var data = request.config.transformResponse ?
+            request.config.transformResponse(result.body, getter, result.status) : result.body;
+          var settle = result.status >= 200 && result.status < 300 ? request.deferred.resolve : request.deferred.reject;
+          settle({data: data, status: result.status, headers: getter, config: request.config});
+        });
+      }, function (response) {
+        _.each(requests, function (request) {
+          request.deferred.reject(_.extend({}, response, {config: request.config}));
+        });
+      });
+    }
+
     return BaseEventClass.extend({
 
       /**
@@ -80,6 +219,13 @@ angular.module('angular.models')
        */
       sync: function (method, model, options) {
         var dynamicQueryParams = {};
+        var adapter = this.$syncAdapter();
+        var operation = method;
+        var outbox;
+
+        if (adapter) {
+          return this.$adapterSync(adapter, method, model, options);
+        }
 
         method = CRUD_MAP[method];
 
@@ -92,7 +238,7 @@ angular.module('angular.models')
         // Default JSON-request options.
         var params = _.pick(options, ['method', 'cache', 'timeout', 'params', 'withCredentials', 'xsrfHeaderName', 'xsrfCookieName']);
 
-        params.headers = options.headers || {};
+        params.headers = _.extend({}, options.headers);
 
         // Set 'Accept' header by default
         if (!params.headers['accept']) {
@@ -114,10 +260,15 @@ angular.module('angular.models')
         // Query params
         params.params = _.extend({}, dynamicQueryParams, params.params);
 
+        // Conditional headers of the last known version
+        if (_.has(options, 'conditional') ? options.conditional : this.conditional) {
+          this.$conditionalHeaders(operation, params);
+        }
+
         // Ensure that we have the appropriate request data.
         if (options.data == null && model && _.include(['POST', 'PUT', 'PATCH'], method)) {
-          params.headers['content-type'] = 'application/json';
-          params.data = JSON.stringify(options.attrs || model.toJSON(options));
+          params.headers['content-type'] = params.headers['content-type'] || 'application/json';
+          params.data = JSON.stringify(options.attrs || (model.toPayload ? model.toPayload(options) : model.toJSON(options)));
         }
 
         // If no cache specified we going to use a default value
@@ -131,9 +282,422 @@ angular.module('angular.models')
         options.success = options.success || angular.noop;
         options.error = options.error || angular.noop;
 
-        return $http(params)
-          .success(options.success)
-          .error(options.error);
+        outbox = operation !== 'read' && (_.has(options, 'outbox') ? options.outbox : this.outbox);
+        if (outbox && !ModelOutbox.isOnline()) {
+          return this.$enqueue(operation, params, model, options);
+        }
+
+        var self = this;
+        var dedupe = operation === 'read' && (_.has(options, 'dedupe') ? options.dedupe : this.dedupe);
+        var key = dedupe ? requestKey(params) : null;
+        var transport, batch, deferred, promise;
+
+        // Supersede pending reads.
+        if (operation === 'read' && (_.has(options, 'latestOnly') ? options.latestOnly : this.latestOnly)) {
+          _.invoke(_.filter(this.$requests, {operation: 'read'}), 'abort');
+        }
+
+        // Share an identical read which is still in flight.
+        transport = key && inflight[key];
+        if (!transport) {
+          batch = operation !== 'read' && this.$batchOptions(options);
+          transport = batch ? this.$batch(batch, params) : this.$send(params, this.$retryPolicy(options), model, options);
+          if (key) {
+            inflight[key] = transport;
+            transport.promise.finally(function () {
+              if (inflight[key] === transport) {
+                delete inflight[key];
+              }
+            });
+          }
+        }
+        transport.users++;
+
+        deferred = $q.defer();
+        promise = deferred.promise;
+        promise.operation = operation;
+        promise.aborted = false;
+
+        transport.promise.then(function (response) {
+          // Callers of a shared read get their own copy of the response.
+          deferred.resolve(transport.users > 1 ? _.extend({}, response, {data: angular.copy(response.data)}) : response);
+        }, deferred.reject);
+
+        // An aborted request rejects with a `CancellationExceptionClass` instead of calling `error`.
+        // A shared read is aborted once every caller has aborted it.
+        promise.abort = function abort() {
+          if (promise.aborted) {
+            return;
+          }
+          promise.aborted = true;
+          deferred.reject(new CancellationExceptionClass('The request has been aborted', params));
+          if (!--transport.users) {
+            if (inflight[key] === transport) {
+              delete inflight[key];
+            }
+            transport.abort();
+          }
+        };
+
+        this.$requests = (this.$requests || []).concat(promise);
+
+        promise.then(function (response) {
+          self.$rememberVersion(operation, response.headers, params);
+          options.success(response.data, response.status, response.headers, response.config);
+        }, function (response) {
+          if (response instanceof CancellationExceptionClass) {
+            return (options.cancel || angular.noop)(response);
+          }
+          if (outbox && response.status <= 0) {
+            return self.$enqueue(operation, params, model, options);
+          }
+          // The last fetched version is still up to date.
+          if (response.status === 304 && operation === 'read') {
+            options.notModified = true;
+            return options.success(null, response.status, response.headers, response.config);
+          }
+          options.error(response.data, response.status, response.headers, response.config, HttpError(response));
+        })
+        .finally(function () {
+          self.$requests = _.without(self.$requests, promise);
+        });
+
+        return legacyCallbacks(promise);
+      },
+
+      /**
+       * @function BaseSyncClass~$adapterSync
+       * @private
+       * @description Syncs through an adapter and returns a request which can be aborted like
+       *              an `$http` one. Aborting skips the callbacks of an adapter operation, but
+       *              does not undo the operation.
+       * @return {Promise}
+       */
+      $adapterSync: function $adapterSync(adapter, operation, model, options) {
+        var self = this;
+        var deferred = $q.defer();
+        var promise = deferred.promise;
+        var result;
+        var guard = function (callback) {
+          return function () {
+            if (!promise.aborted && callback) {
+              callback.apply(null, arguments);
+            }
+          };
+        };
+
+        options = options || {};
+        promise.operation = operation;
+        promise.aborted = false;
+        promise.abort = function abort() {
+          if (!promise.aborted) {
+            promise.aborted = true;
+            deferred.reject(new CancellationExceptionClass('The request has been aborted'));
+          }
+        };
+
+        result = adapter.sync(operation, model, _.extend({}, options, {
+          success: guard(options.success),
+          error: guard(options.error)
+        }));
+
+        // Supersede pending reads.
+        if (operation === 'read' && (_.has(options, 'latestOnly') ? options.latestOnly : this.latestOnly)) {
+          _.invoke(_.filter(this.$requests, {operation: 'read'}), 'abort');
+        }
+        this.$requests = (this.$requests || []).concat(promise);
+
+        $q.when(result).then(deferred.resolve, deferred.reject);
+        promise.then(null, function (response) {
+          if (response instanceof CancellationExceptionClass) {
+            (options.cancel || angular.noop)(response);
+          }
+        })
+        .finally(function () {
+          self.$requests = _.without(self.$requests, promise);
+        });
+
+        return legacyCallbacks(promise);
+      },
+
+      /**
+       * @function BaseSyncClass#abort
+       * @description Aborts pending requests of the model or the collection.
+       *              Aborted operations reject with a `CancellationExceptionClass`
+       *              and fire `"abort"` instead of `"error"`.
+       *
+       * @example <caption>A type-ahead</caption>
+       * var Persons = BaseCollectionClass.extend({
+       *   url: {value: '/persons'},
+       *   latestOnly: {value: true}
+       * });
+       *
+       * persons.fetch({params: {q: 'eu'}});
+       * persons.fetch({params: {q: 'eug'}}); //-> Aborts the previous read
+       * persons.abort(); //-> Aborts the last one as well
+       */
+      abort: function abort() {
+        _.invoke(this.$requests, 'abort');
+      },
+
+      /**
+       * @var BaseSyncClass#latestOnly
+       * @description If true, a read aborts pending reads, so a slower old response never
+       *              overwrites a newer one. A single `fetch` accepts a `latestOnly` option as well.
+       * @type {Boolean}
+       */
+      latestOnly: {value: false, writable: true},
+
+      /**
+       * @var BaseSyncClass#dedupe
+       * @description If true, identical reads (the same method, URL and query params) which are
+       *              in flight at the same time share one request. Every caller still parses the
+       *              response into its own instance. Off by default, a single `fetch` accepts
+       *              a `dedupe` option as well.
+       * @type {Boolean}
+       */
+      dedupe: {value: false, writable: true},
+
+      /**
+       * @var BaseSyncClass#batch
+       * @description Sends mutations of the class to a bulk endpoint. Creates, updates, patches
+       *              and deletes issued within a batching window are gathered into one request,
+       *              and its response is split back, so every model's `save` or `destroy`
+       *              behaves as if it was sent alone. Accepts a bulk URL or a hash:
+       *
+       *              * `url`       - a bulk endpoint
+       *              * `wait`      - a batching window in milliseconds (0, a single tick)
+       *              * `method`    - a method of the bulk request ('POST')
+       *              * `serialize` - a function which turns a list of
+       *                              `{method, url, params, headers, body}` into a bulk request
+       *                              body. An array of them is sent by default.
+       *              * `parse`     - a function which turns a bulk response body into a list of
+       *                              `{status, body, headers}` in the order of requests.
+       *                              An array of them is expected by default.
+       *
+       *              A single call accepts a `batch` option as well, `false` sends it alone.
+       * @type {string|Object}
+       *
+       * @example
+       * var Rows = BaseCollectionClass.extend({
+       *   url: {value: '/rows'},
+       *   batch: {value: '/rows/bulk'}
+       * });
+       *
+       * rows.saveAll(); //-> POST /rows/bulk [{method: 'PUT', url: '/rows/1', headers: {...}, body: {...}}, ...]
+       */
+      batch: {value: null, writable: true},
+
+      /**
+       * @function BaseSyncClass~$batchOptions
+       * @private
+       * @return {Object|null} Batch options of a call
+       */
+      $batchOptions: function $batchOptions(options) {
+        var batch = _.has(options, 'batch') ? options.batch : this.batch;
+        if (!batch) {
+          return null;
+        }
+        return _.extend({wait: 0, method: 'POST', serialize: serializeBatch, parse: parseBatch},
+          _.isString(batch) ? {url: batch} : batch);
+      },
+
+      /**
+       * @function BaseSyncClass~$batch
+       * @private
+       * @description Adds a request to a pending bulk request.
+       * @return {Object} `{promise, abort, users}`
+       */
+      $batch: function $batch(options, params) {
+        var pending = batches[options.url];
+        var request = {
+          method: params.method,
+          url: params.url,
+          params: _.isEmpty(params.params) ? void 0 : params.params,
+          headers: params.headers,
+          body: _.isString(params.data) ? JSON.parse(params.data) : params.data,
+          config: params,
+          deferred: $q.defer(),
+          aborted: false
+        };
+
+        if (!pending) {
+          pending = batches[options.url] = {options: options, requests: []};
+          $timeout(_.partial(flushBatch, options.url), options.wait);
+        }
+        pending.requests.push(request);
+
+        return {
+          users: 0,
+          promise: request.deferred.promise,
+          abort: function () {
+            request.aborted = true;
+            request.deferred.reject(new CancellationExceptionClass('The request has been aborted', params));
+          }
+        };
+      },
+
+      /**
+       * @function BaseSyncClass~$send
+       * @private
+       * @description Sends a request and retries it according to a retry policy.
+       * @return {Object} `{promise, abort, users}`
+       */
+      $send: function $send(params, policy, model, options) {
+        var self = this;
+        var timeout = params.timeout;
+        var transport = {users: 0, aborted: false};
+        var canceller;
+        var cancellation = function () {
+          return $q.reject(new CancellationExceptionClass('The request has been aborted', params));
+        };
+        var request = function (attempt) {
+          var timer = _.isNumber(timeout) ? $timeout(angular.noop, timeout, false) : timeout;
+          var timedOut = false;
+          canceller = $q.defer();
+          if (timer) {
+            $q.when(timer).then(function () {
+              timedOut = true;
+              canceller.resolve();
+            });
+          }
+
+          return $http(_.extend({}, params, {timeout: canceller.promise})).then(null, function (response) {
+            var delay;
+            if (transport.aborted) {
+              return cancellation();
+            }
+            response.timedOut = timedOut;
+            delay = self.$retryDelay(policy, attempt, response);
+            if (delay === null) {
+              return $q.reject(response);
+            }
+            if (model && model.trigger) {
+              model.trigger('retry', model, {
+                attempt: attempt + 1,
+                maxAttempts: policy.maxAttempts,
+                delay: delay,
+                status: response.status
+              }, options);
+            }
+            return $timeout(angular.noop, delay).then(function () {
+              return transport.aborted ? cancellation() : request(attempt + 1);
+            });
+          })
+          .finally(function () {
+            if (_.isNumber(timeout)) {
+              $timeout.cancel(timer);
+            }
+          });
+        };
+
+        transport.promise = request(1);
+        transport.abort = function () {
+          transport.aborted = true;
+          canceller.resolve();
+        };
+        return transport;
+      },
+
+      /**
+       * @var BaseSyncClass#retry
+       * @description Overrides the default retry policy for a particular class.
+       *              See `BaseSyncClassProvider.setRetryPolicy` for accepted keys.
+       *              A single call accepts a `retry` option as well, either a policy,
+       *              a number of attempts or `false`.
+       * @type {Object}
+       *
+       * @example
+       * var Report = BaseModelClass.extend({
+       *   urlRoot: {value: '/reports'},
+       *   retry: {value: {maxAttempts: 5, statuses: [502, 503]}}
+       * });
+       *
+       * var report = new Report({id: 1});
+       * report.on('retry', function (model, retry) {
+       *   console.log('Attempt %d of %d in %dms', retry.attempt, retry.maxAttempts, retry.delay);
+       * });
+       * report.fetch();
+       * report.save(null, {retry: false});
+       */
+      retry: {value: null, writable: true},
+
+      /**
+       * @function BaseSyncClass~$retryPolicy
+       * @private
+       * @return {Object} A retry policy of a call
+       */
+      $retryPolicy: function $retryPolicy(options) {
+        var retry = options.retry;
+        if (retry === false) {
+          retry = {maxAttempts: 1};
+        }
+        else if (_.isNumber(retry)) {
+          retry = {maxAttempts: retry};
+        }
+        return _.extend({}, RETRY_POLICY, this.retry, retry);
+      },
+
+      /**
+       * @function BaseSyncClass~$retryDelay
+       * @private
+       * @param  {Object} policy   A retry policy
+       * @param  {number} attempt  A number of the failed attempt
+       * @param  {Object} response A failed response
+       * @return {number|null} A delay before the next attempt, or null if it should not be retried
+       */
+      $retryDelay: function $retryDelay(policy, attempt, response) {
+        var retryAfter = response.headers && response.headers('Retry-After');
+        var delay;
+
+        if (attempt >= policy.maxAttempts ||
+            !_.contains(policy.statuses, response.status) ||
+            !_.contains(policy.methods, response.config.method)) {
+          return null;
+        }
+
+        if (retryAfter) {
+          delay = /^\d+$/.test(retryAfter) ? retryAfter * 1000 : new Date(retryAfter).getTime() - new Date().getTime();
+          if (!isNaN(delay)) {
+            return Math.min(policy.maxDelay, Math.max(0, delay));
+          }
+        }
+
+        delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt - 1));
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+      },
+
+      /**
+       * @var BaseSyncClass#outbox
+       * @description If true, mutations which can not reach the server are queued
+       *              in {@link ModelOutbox} and replayed once the app is back online.
+       * @type {Boolean}
+       */
+      outbox: {value: false, writable: true},
+
+      /**
+       * @function BaseSyncClass~$enqueue
+       * @private
+       * @description Queue a request in the outbox and report a queued success.
+       *              Aborting the request drops it from the outbox.
+       * @return {Promise}
+       */
+      $enqueue: function $enqueue(operation, params, model, options) {
+        var entry = ModelOutbox.push(operation, params, model, options);
+        var promise = $q.when({data: null, status: 0, headers: _.constant(null), config: params, entry: entry});
+
+        promise.operation = operation;
+        promise.aborted = false;
+        promise.abort = function abort() {
+          if (!promise.aborted) {
+            promise.aborted = true;
+            ModelOutbox.remove(entry);
+          }
+        };
+
+        options.queued = true;
+        options.success(null, 0, _.constant(null), params);
+        return legacyCallbacks(promise);
       },
 
       /**
@@ -143,6 +707,137 @@ angular.module('angular.models')
        */
       cache: {value: false, writable: true},
 
+      /**
+       * @var BaseSyncClass#syncAdapter
+       * @description Where models are persisted. 'http' (default) syncs with the server,
+       *              'localStorage' and 'indexedDB' keep models in the browser. It also accepts
+       *              a name registered by `BaseSyncClassProvider.registerAdapter`, or any object
+       *              with a `sync(method, model, options)` method.
+       * @type {string|Object}
+       *
+       * @example <caption>A kiosk mode without a server</caption>
+       * var Person = BaseModelClass.extend({
+       *   urlRoot: {value: '/persons'},
+       *   syncAdapter: {value: 'localStorage'}
+       * });
+       *
+       * new Person({name: 'Eugene'}).save(); //-> Stored under the '/persons' key
+       */
+      syncAdapter: {value: 'http', writable: true},
+
+      /**
+       * @var BaseSyncClass#storeName
+       * @description A name of a store where client side adapters keep models.
+       *              Defaults to the URL of a collection or `urlRoot` of a model.
+       * @type {string}
+       */
+      storeName: {value: null, writable: true},
+
+      /**
+       * @var BaseSyncClass#etag
+       * @description An `ETag` of the last response.
+       * @type {string}
+       */
+      etag: {value: null, writable: true},
+
+      /**
+       * @var BaseSyncClass#lastModified
+       * @description A `Last-Modified` date of the last response.
+       * @type {string}
+       */
+      lastModified: {value: null, writable: true},
+
+      /**
+       * @var BaseSyncClass#$versionOf
+       * @private
+       * @description A URL and a resource key of the request which returned `etag` and
+       *              `lastModified`, or null if it is not known.
+       * @type {Object}
+       */
+      $versionOf: {value: null, writable: true},
+
+      /**
+       * @var BaseSyncClass#conditional
+       * @description If true, requests are conditional on the version of the last response.
+       *              Off by default. A fetch sends `If-None-Match` (or `If-Modified-Since`), and a 304 response
+       *              leaves attributes as they are. A save or a destroy sends `If-Match` (or
+       *              `If-Unmodified-Since`), and a 412 response rejects with a
+       *              `ConflictExceptionClass` which carries the server's current version.
+       *              A 409 response rejects with it regardless of this flag.
+       *              A single call accepts a `conditional` option as well.
+       *
+       *              A fetch is conditional only if its URL and query params are the ones of the
+       *              request which returned the version, so a new search or another page is
+       *              always read in full. A model with unsynced changes is read in full too.
+       *              A save or a destroy needs the same URL only.
+       * @type {Boolean}
+       *
+       * @example
+       * person.fetch(); //-> 200, ETag: "v1"
+       * person.fetch(); //-> If-None-Match: "v1", 304, nothing is set
+       * person.save().catch(function (error) {
+       *   error.version; //-> {etag: '"v2"', lastModified: null}, someone else saved it first
+       * }); //-> If-Match: "v1"
+       */
+      conditional: {value: false, writable: true},
+
+      /**
+       * @function BaseSyncClass~$conditionalHeaders
+       * @private
+       * @description Add headers which make a request conditional on the last known version,
+       *              if the version was returned for the same resource.
+       */
+      $conditionalHeaders: function $conditionalHeaders(operation, params) {
+        var read = operation === 'read';
+        var headers = params.headers;
+        var source = this.$versionOf;
+        if (operation === 'create') {
+          return;
+        }
+        if (source && (read ? source.key !== resourceKey(params) : source.url !== params.url)) {
+          return;
+        }
+        if (this.etag) {
+          headers[read ? 'If-None-Match' : 'If-Match'] = headers[read ? 'If-None-Match' : 'If-Match'] || this.etag;
+        }
+        else if (this.lastModified) {
+          headers[read ? 'If-Modified-Since' : 'If-Unmodified-Since'] = headers[read ? 'If-Modified-Since' : 'If-Unmodified-Since'] || this.lastModified;
+        }
+      },
+
+      /**
+       * @function BaseSyncClass~$rememberVersion
+       * @private
+       * @description Remember a version of a successful response.
+       */
+      $rememberVersion: function $rememberVersion(operation, headers, params) {
+        if (operation === 'delete') {
+          this.etag = this.lastModified = this.$versionOf = null;
+        }
+        else if (headers) {
+          this.etag = headers('ETag') || null;
+          this.lastModified = headers('Last-Modified') || null;
+          // A created model is read and saved at a URL of its own.
+          this.$versionOf = operation === 'create' ? null : {url: params.url, key: resourceKey(params)};
+        }
+      },
+
+      /**
+       * @function BaseSyncClass~$syncAdapter
+       * @private
+       * @return {Object|null} A sync adapter, or null if models are synced over HTTP
+       */
+      $syncAdapter: function $syncAdapter() {
+        var adapter = this.syncAdapter;
+        if (!adapter || adapter === 'http') {
+          return null;
+        }
+        if (_.isString(adapter)) {
+          return $injector.get(ADAPTERS[adapter] || adapter);
+        }
+        return adapter;
+      },
+
       /**
        * @function BaseSyncClass#transformResponse
        * @description A transform function or an array of such functions.
@@ -3,10 +3,26 @@
 angular.module('angular.models')
 
 .factory('BaseExceptionClass', function(Extend) {
+  /**
+   * @class BaseException
+   * @description A base class of exceptions. Exceptions are instances of `Error`
+   *              and capture a stack trace.
+   * @augments Error
+   * @param {string} message An error message
+   */
   function BaseExceptionClass (message) {
     this.name = 'Exception';
     this.message = message;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    }
+    else {
+      this.stack = new Error(message).stack;
+    }
   }
+  BaseExceptionClass.prototype = Object.create(Error.prototype, {
+    constructor: {value: BaseExceptionClass, writable: true, configurable: true}
+  });
   BaseExceptionClass.extend = Extend;
   return BaseExceptionClass;
 })
@@ -17,6 +33,200 @@ angular.module('angular.models')
    * @description Represents the exception that occurs during validation of a data field
    * @augments Error
    * @param {string} message An error message
+   * @param {Object} [errors] A hash of error messages by attribute name
+   */
+  return BaseExceptionClass.extend({
+    constructor: function ValidationExceptionClass (message, errors) {
+      BaseExceptionClass.call(this, message);
+      this.errors = errors || {};
+    }
+  });
+})
+
+.factory('CancellationExceptionClass', function (BaseExceptionClass) {
+  /**
+   * @class CancellationException
+   * @description Represents the exception that occurs when a request has been aborted
+   * @augments Error
+   * @param {string} message An error message
+   * @param {Object} [config] A config of the aborted request
+   */
+  return BaseExceptionClass.extend({
+    constructor: function CancellationExceptionClass (message, config) {
+      BaseExceptionClass.call(this, message);
+      this.config = config;
+    }
+  });
+})
+
+.factory('HttpExceptionClass', function (BaseExceptionClass) {
+  /**
+   * @class HttpException
+   * @description Represents the exception that occurs when a request to the server fails.
+   *              Specific failures are represented by subclasses, see {@link HttpError}.
+   * @augments BaseException
+   * @param {string} message An error message
+   * @param {Object} [response] A response `{data, status, headers, config}`
+   */
+  return BaseExceptionClass.extend({
+    constructor: function HttpExceptionClass (message, response) {
+      response = response || {};
+      BaseExceptionClass.call(this, message || 'The request failed with status ' + response.status);
+      this.name = 'HttpException';
+      this.status = response.status;
+      this.headers = response.headers || function () { return null; };
+      this.data = response.data;
+      this.config = response.config;
+    }
+  });
+})
+
+.factory('UnauthorizedExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class UnauthorizedException
+   * @description Represents a 401 response
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function UnauthorizedExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'Unauthorized', response);
+      this.name = 'UnauthorizedException';
+    }
+  });
+})
+
+.factory('ForbiddenExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class ForbiddenException
+   * @description Represents a 403 response
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function ForbiddenExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'Forbidden', response);
+      this.name = 'ForbiddenException';
+    }
+  });
+})
+
+.factory('NotFoundExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class NotFoundException
+   * @description Represents a 404 response
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function NotFoundExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'Not found', response);
+      this.name = 'NotFoundException';
+    }
+  });
+})
+
+.factory('ConflictExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class ConflictException
+   * @description Represents a 409 or a 412 response, when the server refuses a change
+   *              of a resource which has been modified since its last known version.
+   *              `version` holds an ETag and a Last-Modified date of the server's version.
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function ConflictExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'The resource has been modified on the server', response);
+      this.name = 'ConflictException';
+      this.version = {
+        etag: this.headers('ETag'),
+        lastModified: this.headers('Last-Modified')
+      };
+    }
+  });
+})
+
+.factory('UnprocessableEntityExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class UnprocessableEntityException
+   * @description Represents a 422 response
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function UnprocessableEntityExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'Unprocessable entity', response);
+      this.name = 'UnprocessableEntityException';
+    }
+  });
+})
+
+.factory('ServerErrorExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class ServerErrorException
+   * @description Represents a 5xx response
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function ServerErrorExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'Server error', response);
+      this.name = 'ServerErrorException';
+    }
+  });
+})
+
+.factory('NetworkErrorExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class NetworkErrorException
+   * @description Represents a request which got no response
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function NetworkErrorExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'The server can not be reached', response);
+      this.name = 'NetworkErrorException';
+    }
+  });
+})
+
+.factory('TimeoutErrorExceptionClass', function (HttpExceptionClass) {
+  /**
+   * @class TimeoutErrorException
+   * @description Represents a request which has timed out
+   * @augments HttpException
+   */
+  return HttpExceptionClass.extend({
+    constructor: function TimeoutErrorExceptionClass (message, response) {
+      HttpExceptionClass.call(this, message || 'The request has timed out', response);
+      this.name = 'TimeoutErrorException';
+    }
+  });
+})
+
+.factory('HttpError', function ($injector) {
+  // Exception classes by a response status.
+  var classes = {
+    401: 'UnauthorizedExceptionClass',
+    403: 'ForbiddenExceptionClass',
+    404: 'NotFoundExceptionClass',
+    409: 'ConflictExceptionClass',
+    412: 'ConflictExceptionClass',
+    422: 'UnprocessableEntityExceptionClass'
+  };
+
+  /**
+   * @function HttpError
+   * @description Creates an exception which represents a failed response.
+   * @param  {Object} response A response `{data, status, headers, config}`. A `timedOut` flag
+   *                           tells a timeout from other requests without a response.
+   * @return {HttpExceptionClass}
    */
-  return BaseExceptionClass.extend({});
+  return function HttpError(response) {
+    var name = classes[response.status];
+    if (!name) {
+      if (response.status <= 0) {
+        name = response.timedOut ? 'TimeoutErrorExceptionClass' : 'NetworkErrorExceptionClass';
+      }
+      else {
+        name = response.status >= 500 ? 'ServerErrorExceptionClass' : 'HttpExceptionClass';
+      }
+    }
+    return new ($injector.get(name))(null, response);
+  };
 });
@@ -9,19 +9,30 @@ angular.module('angular.models')
   };
 })
 
-.factory('WrapError', function (_) {
+.factory('WrapError', function (BaseExceptionClass, HttpError, _) {
   'use strict';
   // Wrap an optional error callback with a fallback error event.
   function WrapError (model, reject, options) {
-    // Arguments: xhr, textStatus, errorThrown
-    options.error = function () {
+    // Arguments: data, status, headers, config, exception
+    options.error = function (data, status, headers, config, exception) {
       var args = [].concat([model], _.toArray(arguments));
       if (model) {
         model.trigger.apply(model, [].concat(['error'], args));
       }
-      var argsObj = _.zipObject(['model', 'xhr', 'textStatus', 'error'], args);
+      if (!(exception instanceof BaseExceptionClass)) {
+        exception = HttpError({data: data, status: status, headers: headers, config: config});
+      }
+      if (reject) {
+        reject(exception);
+      }
+    };
+    // An aborted request rejects with a cancellation error and fires "abort".
+    options.cancel = function (error) {
+      if (model) {
+        model.trigger('abort', model, error, options);
+      }
       if (reject) {
-        reject(argsObj);
+        reject(error);
       }
     };
   }
@@ -0,0 +1,117 @@
+'use strict';
+
+angular.module('angular.models')
+
+.factory('ModelHistoryClass', function (BaseClass, _) {
+  /**
+   * @class ModelHistoryClass
+   * @description Keeps undo and redo stacks of attribute changes of a model. Every entry is
+   *              a list of changes `{attr, from, had, to, unset}`, where `had` tells whether the
+   *              attribute existed before the change and `unset` whether it was removed.
+   *              Used by {@link BaseModelClass} when `trackHistory` is on.
+   * @param {number} limit A maximum number of entries in the undo stack. 0 means no limit.
+   */
+  return BaseClass.extend({
+    constructor: function ModelHistoryClass(limit) {
+      this.limit = limit || 0;
+      this.undoStack = [];
+      this.redoStack = [];
+      this.depth = 0;
+      this.group = null;
+    },
+
+    /**
+     * @function ModelHistoryClass#push
+     * @description Records a list of changes. Changes recorded within a transaction are
+     *              grouped into one entry. Recording clears the redo stack.
+     * @param {Object[]} changes A list of changes
+     */
+    push: function push(changes) {
+      if (this.depth) {
+        this.group = this.group.concat(changes);
+        return;
+      }
+      this.undoStack.push(changes);
+      this.redoStack = [];
+      if (this.limit && this.undoStack.length > this.limit) {
+        this.undoStack.splice(0, this.undoStack.length - this.limit);
+      }
+    },
+
+    /**
+     * @function ModelHistoryClass#begin
+     * @description Starts a transaction. Transactions can be nested.
+     */
+    begin: function begin() {
+      if (!this.depth++) {
+        this.group = [];
+      }
+    },
+
+    /**
+     * @function ModelHistoryClass#commit
+     * @description Ends a transaction and records its changes as one entry.
+     */
+    commit: function commit() {
+      if (!this.depth || --this.depth) {
+        return;
+      }
+      var group = this.group;
+      this.group = null;
+      if (group.length) {
+        this.push(group);
+      }
+    },
+
+    /**
+     * @function ModelHistoryClass#clear
+     * @description Drops both stacks.
+     */
+    clear: function clear() {
+      this.undoStack = [];
+      this.redoStack = [];
+    },
+
+    /**
+     * @function ModelHistoryClass#revert
+     * @description Returns attributes which revert an entry.
+     * @param  {Object[]} changes A list of changes
+     * @return {Object} `{set: {...}, unset: {...}}`
+     */
+    revert: function revert(changes) {
+      var result = {set: {}, unset: {}};
+      _.eachRight(changes, function (change) {
+        if (change.had) {
+          result.set[change.attr] = change.from;
+          delete result.unset[change.attr];
+        }
+        else {
+          result.unset[change.attr] = void 0;
+          delete result.set[change.attr];
+        }
+      });
+      return result;
+    },
+
+    /**
+     * @function ModelHistoryClass#replay
+     * @description Returns attributes which apply an entry again.
+     * @param  {Object[]} changes A list of changes
+     * @return {Object} `{set: {...}, unset: {...}}`
+     */
+    replay: function replay(changes) {
+      var result = {set: {}, unset: {}};
+      _.each(changes, function (change) {
+        if (change.unset) {
+          result.unset[change.attr] = void 0;
+          delete result.set[change.attr];
+        }
+        else {
+          result.set[change.attr] = change.to;
+          delete result.unset[change.attr];
+        }
+      });
+      return result;
+    }
+  });
+});
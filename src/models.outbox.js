@@ -0,0 +1,295 @@
+'use strict';
+
+angular.module('angular.models')
+
+.provider('ModelOutbox', function () {
+
+  // A localStorage key where queued requests are persisted.
+  var storageKey = 'angular.models:outbox';
+
+  /**
+   * @function ModelOutboxProvider#setStorageKey
+   * @description Sets a localStorage key where queued requests are persisted.
+   *              Pass `null` to keep them in memory only.
+   * @param {string} key A storage key
+   */
+  this.setStorageKey = function setStorageKey(key) {
+    storageKey = key;
+  };
+
+  this.$get = /*@ngInject*/ function($http, $q, $rootScope, $window, _) {
+    /**
+     * @class ModelOutbox
+     * @description Queues mutations of models and collections which can not reach the server
+     *              and replays them in order once the app is back online. A class opts in by
+     *              setting `outbox` to `true`, a single call by passing `{outbox: true}`.
+     *
+     *              A mutation is queued when the browser is offline or when its request fails
+     *              without a response. Queued requests are persisted, so they survive a reload.
+     *              Repeated mutations of one model are coalesced: a create or an update absorbs
+     *              later saves, patches are merged, and a delete of a model which was never
+     *              created drops its queued create.
+     *
+     *              A queued `save` or `destroy` resolves right away. Models fire:
+     *
+     *              * `"queued"`   (model, entry, options) - when a mutation is queued
+     *              * `"replayed"` (model, response, entry) - when a queued mutation succeeds
+     *              * `"conflict"` (model, response, status, entry) - when the server rejects a
+     *                queued mutation with 409 or 412. The mutation is dropped.
+     *
+     *              Other client errors drop a mutation and fire `"error"`. Server errors and
+     *              lost connections stop the replay and keep the rest of the queue.
+     *
+     * @example <caption>Save notes while offline</caption>
+     * var Note = BaseModelClass.extend({
+     *   urlRoot: {value: '/notes'},
+     *   outbox: {value: true}
+     * });
+     *
+     * var note = new Note({text: 'Buy milk'});
+     * note.on('replayed', function (model) {
+     *   model.id; //-> An id created by the server once the app is online
+     * });
+     * note.save(); //-> Resolves even without a connection
+     */
+    var ModelOutbox = {};
+
+    // Queued entries `{id, operation, cid, request}`, the oldest first.
+    var queue = [];
+    // Live models by an entry id.
+    var models = {};
+    var lastId = 0;
+    var replaying = null;
+
+    function storage() {
+      return storageKey && $window.localStorage;
+    }
+
+    function persist() {
+      if (storage()) {
+        storage().setItem(storageKey, angular.toJson(_.map(queue, function (entry) {
+          return _.omit(entry, 'cid');
+        })));
+      }
+    }
+
+    function restore() {
+      var saved = storage() && storage().getItem(storageKey);
+      queue = saved ? JSON.parse(saved) : [];
+      lastId = _.max([0].concat(_.pluck(queue, 'id')));
+    }
+
+    function parse(data) {
+      return _.isString(data) ? JSON.parse(data) : data;
+    }
+
+    function drop(entry) {
+      _.pull(queue, entry);
+      delete models[entry.id];
+    }
+
+    // Returns a queued entry of the same model, if any.
+    function findPrevious(entry) {
+      return _.findLast(queue, function (queued) {
+        if (entry.cid && queued.cid) {
+          return queued.cid === entry.cid;
+        }
+        return entry.operation !== 'create' && queued.request.url === entry.request.url;
+      });
+    }
+
+    // Merges a new entry into a queued entry of the same model.
+    // Returns true if the new entry does not have to be queued.
+    function coalesce(previous, entry) {
+      var data;
+
+      if (entry.operation === 'delete') {
+        if (previous.operation === 'create') {
+          drop(previous);
+        }
+        else {
+          previous.operation = entry.operation;
+          previous.request = entry.request;
+        }
+        return true;
+      }
+
+      if (previous.operation === 'delete') {
+        return false;
+      }
+
+      data = parse(entry.request.data);
+      if (entry.operation === 'patch') {
+        if (!_.isPlainObject(data) || !_.isPlainObject(parse(previous.request.data))) {
+          return false;
+        }
+        data = _.extend(parse(previous.request.data), data);
+      }
+      else if (previous.operation === 'patch') {
+        previous.operation = entry.operation;
+        previous.request.method = entry.request.method;
+        previous.request.headers = entry.request.headers;
+      }
+      previous.request.data = JSON.stringify(data);
+      return true;
+    }
+
+    function applyResponse(model, entry, response) {
+      if (!model) {
+        return;
+      }
+      if (entry.operation !== 'delete' && !_.isEmpty(response)) {
+        model.$set(model.parse(response), {paths: false});
+      }
+      if (model.$snapshot) {
+        model.$snapshot();
+      }
+      model.trigger('sync', model, response);
+      model.trigger('replayed', model, response, entry);
+    }
+
+    function replayNext() {
+      var entry = queue[0];
+      if (!entry) {
+        return $q.when();
+      }
+      return $http(entry.request).then(function (response) {
+        var model = models[entry.id];
+        drop(entry);
+        persist();
+        applyResponse(model, entry, response.data);
+        return replayNext();
+      }, function (response) {
+        var model = models[entry.id];
+        var status = response.status;
+
+        if (status <= 0 || status >= 500) {
+          return $q.reject(response);
+        }
+        drop(entry);
+        persist();
+        if (model) {
+          if (status === 409 || status === 412) {
+            model.trigger('conflict', model, response.data, status, entry);
+          }
+          else {
+            model.trigger('error', model, response.data, status);
+          }
+        }
+        return replayNext();
+      });
+    }
+
+    /**
+     * @function ModelOutbox#isOnline
+     * @return {boolean} False if the browser knows it is offline
+     */
+    ModelOutbox.isOnline = function isOnline() {
+      return $window.navigator.onLine !== false;
+    };
+
+    /**
+     * @function ModelOutbox#push
+     * @description Queues a request of a model's mutation. Fires `"queued"` on the model.
+     * @param  {string} operation One of create, update, patch or delete
+     * @param  {Object} request   `$http` config of the request
+     * @param  {BaseModelClass} model A model
+     * @param  {Object} options   Options of the mutation
+     * @return {Object} A queued entry
+     */
+    ModelOutbox.push = function push(operation, request, model, options) {
+      var entry = {
+        id: ++lastId,
+        operation: operation,
+        cid: model && model.cid,
+        request: _.pick(request, 'method', 'url', 'data', 'params', 'headers', 'withCredentials')
+      };
+      var previous = findPrevious(entry);
+
+      if (previous && coalesce(previous, entry)) {
+        previous.cid = entry.cid;
+        models[previous.id] = model;
+        entry = previous;
+      }
+      else {
+        queue.push(entry);
+        models[entry.id] = model;
+      }
+      persist();
+      if (model) {
+        model.trigger('queued', model, entry, options);
+      }
+      return entry;
+    };
+
+    /**
+     * @function ModelOutbox#discard
+     * @description Drops queued mutations of a model.
+     * @param {BaseModelClass} model A model
+     */
+    ModelOutbox.discard = function discard(model) {
+      _.each(_.filter(queue, {cid: model.cid}), drop);
+      persist();
+    };
+
+    /**
+     * @function ModelOutbox#remove
+     * @description Drops a queued entry. An entry which other mutations were coalesced into
+     *              takes them along.
+     * @param {Object} entry An entry returned by `push`
+     */
+    ModelOutbox.remove = function remove(entry) {
+      drop(entry);
+      persist();
+    };
+
+    /**
+     * @function ModelOutbox#replay
+     * @description Sends queued requests one by one. Called automatically when the browser
+     *              goes online.
+     * @return {Promise} Resolved once the queue is empty, rejected if the replay stopped
+     */
+    ModelOutbox.replay = function replay() {
+      if (!replaying) {
+        replaying = replayNext().finally(function () {
+          replaying = null;
+        });
+      }
+      return replaying;
+    };
+
+    /**
+     * @function ModelOutbox#entries
+     * @return {Object[]} Queued entries, the oldest first
+     */
+    ModelOutbox.entries = function entries() {
+      return _.clone(queue);
+    };
+
+    /**
+     * @function ModelOutbox#clear
+     * @description Drops every queued mutation.
+     */
+    ModelOutbox.clear = function clear() {
+      queue = [];
+      models = {};
+      persist();
+    };
+
+    restore();
+
+    // Replay once the browser is back online, until the app is destroyed.
+    function online() {
+      $rootScope.$apply(ModelOutbox.replay);
+    }
+
+    if ($window.addEventListener) {
+      $window.addEventListener('online', online);
+      $rootScope.$on('$destroy', function () {
+        $window.removeEventListener('online', online);
+      });
+    }
+
+    return ModelOutbox;
+  };
+});
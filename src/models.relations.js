@@ -0,0 +1,215 @@
+'use strict';
+
+angular.module('angular.models')
+
+.factory('ModelRelations', function ($injector, ModelStore, _) {
+  /**
+   * @class ModelRelations
+   * @description A set of helpers which turn nested data of a model into related
+   *              model and collection instances. A relation is declared by its attribute
+   *              name and accepts the following options:
+   *
+   *              * `type`       - 'hasOne' (default), 'belongsTo' or 'hasMany'
+   *              * `model`      - a related model class, or a name of a factory which returns it
+   *              * `collection` - a collection class used by 'hasMany' relation, or a name
+   *                               of a factory. A BaseCollectionClass of `model` is used by default.
+   *              * `foreignKey` - an attribute kept in sync with an id. For 'belongsTo' it is an
+   *                               attribute of the model itself which holds an id of the related
+   *                               model. For 'hasOne' and 'hasMany' it is an attribute of the
+   *                               related models which holds an id of the model.
+   *              * `serialize`  - how the relation is represented by `toJSON`: 'embed' (default),
+   *                               'id' or 'omit'
+   *
+   *              Events of related instances bubble up to the model with the relation name
+   *              appended, e.g. `change:author` or `add:comments`. Handlers receive the model,
+   *              the related instance and the original arguments of the event.
+   */
+  var ModelRelations = {};
+
+  // Events which bubble up from a related model or collection.
+  var BUBBLE_EVENTS = {
+    model: ['change', 'sync', 'destroy'],
+    collection: ['add', 'remove', 'reset', 'sort', 'change']
+  };
+
+  function resolveClass(ref) {
+    return _.isString(ref) ? $injector.get(ref) : ref;
+  }
+
+  function normalize(relations) {
+    var result = {};
+    _.each(relations, function (relation, name) {
+      relation = result[name] = _.extend({type: 'hasOne', serialize: 'embed'}, relation);
+      if (relation.type !== 'hasMany' && !relation.model) {
+        throw new Error('A "' + relation.type + '" relation "' + name + '" must declare a "model"');
+      }
+    });
+    return result;
+  }
+
+  function isModel(obj) {
+    return obj instanceof $injector.get('BaseModelClass');
+  }
+
+  function isCollection(obj) {
+    return obj instanceof $injector.get('BaseCollectionClass');
+  }
+
+  function setForeignKey(related, key, id) {
+    if (related && !_.isEqual(related.$get(key), id)) {
+      related.$set(key, id);
+    }
+  }
+
+  function attach(model, related, relation, name) {
+    var kind = relation.type === 'hasMany' ? 'collection' : 'model';
+
+    model.listenTo(related, 'all', function (event) {
+      var args = _.rest(arguments);
+
+      if (_.contains(BUBBLE_EVENTS[kind], event)) {
+        model.trigger.apply(model, [event + ':' + name, model, related].concat(args));
+      }
+
+      if (!relation.foreignKey) {
+        return;
+      }
+      if (relation.type === 'belongsTo' && event === 'change:' + related.idAttribute) {
+        model.$set(relation.foreignKey, related.id);
+      }
+      else if (relation.type === 'hasMany' && event === 'add' && model.id != null) {
+        setForeignKey(args[0], relation.foreignKey, model.id);
+      }
+    });
+  }
+
+  function detach(model, related) {
+    if (related) {
+      model.stopListening(related);
+    }
+  }
+
+  function assign(model, relation, name, value, options) {
+    var current = model.attributes[name];
+    var childOptions = _.pick(options, 'silent', 'parse');
+    var related;
+    var Related;
+
+    if (value == null) {
+      detach(model, current);
+      return value;
+    }
+
+    if (relation.type === 'hasMany') {
+      if (isCollection(value)) {
+        related = value;
+      }
+      else if (current) {
+        current.$set(value, childOptions);
+        return current;
+      }
+      else {
+        Related = resolveClass(relation.collection) || $injector.get('BaseCollectionClass');
+        related = new Related(null, relation.model ? {model: resolveClass(relation.model)} : {});
+        attach(model, related, relation, name);
+        related.$set(value, childOptions);
+        return related;
+      }
+    }
+    else if (isModel(value)) {
+      related = value;
+    }
+    else if (current && (value[current.idAttribute] == null || _.isEqual(value[current.idAttribute], current.id))) {
+      current.$set(value, childOptions);
+      return current;
+    }
+    else {
+      Related = resolveClass(relation.model);
+      related = Related.prototype.identityMap ? ModelStore.resolve(Related, value, childOptions) : new Related(value, childOptions);
+    }
+
+    if (related !== current) {
+      detach(model, current);
+      attach(model, related, relation, name);
+    }
+    return related;
+  }
+
+  /**
+   * @function ModelRelations.resolve
+   * @description Turns nested data of the attributes being written into related
+   *              instances, merging it into the existing ones where possible, and
+   *              keeps foreign keys in sync.
+   * @param  {BaseModelClass} model A model which declares relations
+   * @param  {Object} attrs   A hash of attributes to be written
+   * @param  {Object} options Options of the `$set` call
+   * @return {Object} A new hash of attributes
+   */
+  ModelRelations.resolve = function resolve(model, attrs, options) {
+    var result = _.clone(attrs);
+    var idChanged = _.has(attrs, model.idAttribute);
+    var id = idChanged ? attrs[model.idAttribute] : model.id;
+
+    _.each(normalize(model.relations), function (relation, name) {
+      var related;
+
+      if (_.has(attrs, name)) {
+        if (options.unset) {
+          detach(model, model.attributes[name]);
+          return;
+        }
+        related = result[name] = assign(model, relation, name, attrs[name], options);
+
+        if (relation.type === 'belongsTo' && relation.foreignKey) {
+          result[relation.foreignKey] = related ? related.id : null;
+        }
+      }
+      else if (idChanged) {
+        related = model.attributes[name];
+      }
+
+      if (related && relation.type !== 'belongsTo' && relation.foreignKey && id != null) {
+        if (relation.type === 'hasMany') {
+          related.each(function (child) {
+            setForeignKey(child, relation.foreignKey, id);
+          });
+        }
+        else {
+          setForeignKey(related, relation.foreignKey, id);
+        }
+      }
+    });
+    return result;
+  };
+
+  /**
+   * @function ModelRelations.serialize
+   * @description Writes related instances into a JSON representation of a model,
+   *              as declared by the `serialize` option of every relation.
+   * @param  {BaseModelClass} model A model which declares relations
+   * @param  {Object} json    A JSON representation of the model's own attributes
+   * @param  {Object} options Options passed to `toJSON`
+   * @return {Object} The JSON representation
+   */
+  ModelRelations.serialize = function serialize(model, json, options) {
+    _.each(normalize(model.relations), function (relation, name) {
+      var related = model.attributes[name];
+
+      if (relation.serialize === 'omit' || !_.has(model.attributes, name)) {
+        return;
+      }
+      if (related == null) {
+        json[name] = related;
+      }
+      else if (relation.serialize === 'id') {
+        json[name] = relation.type === 'hasMany' ? related.map(function (child) { return child.id; }) : related.id;
+      }
+      else {
+        json[name] = related.toJSON(options);
+      }
+    });
+    return json;
+  };
+
+  return ModelRelations;
+});
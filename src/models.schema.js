@@ -0,0 +1,235 @@
+'use strict';
+
+angular.module('angular.models')
+
+.factory('ModelSchema', function (_) {
+  /**
+   * @class ModelSchema
+   * @description A set of helpers which read a declarative attribute schema of
+   *              a model. A schema is a hash where every key is an attribute name
+   *              and every value describes that attribute:
+   *
+   *              * `type`     - 'string', 'number', 'integer', 'boolean', 'date', 'array',
+   *                             'object', 'any' or a constructor (String, Number, Date...)
+   *              * `default`  - a default value, or a function which returns one
+   *              * `required` - the attribute must hold a value before the model is saved.
+   *                             It is checked by `save` and `isValid` only, so the
+   *                             attribute can be cleared while it is being edited.
+   *              * `nullable` - allows the attribute to be set to `null`
+   *              * `enum`     - a list of allowed values
+   *              * `coerce`   - a custom coercion function `(value, attrs)`,
+   *                             or `false` to turn the built-in coercion off
+   *
+   *              A string or a constructor can be used as a shorthand for `{type: ...}`.
+   *
+   * @example <caption>A schema of a Book model</caption>
+   * var Book = BaseModelClass.extend({
+   *   schema: {
+   *     value: {
+   *       title:  {type: 'string', required: true},
+   *       price:  {type: 'number', default: 0},
+   *       pages:  'integer',
+   *       format: {type: 'string', enum: ['paper', 'ebook'], nullable: true},
+   *       published: Date
+   *     }
+   *   }
+   * });
+   *
+   * var book = new Book({title: 'Sherlock Holmes', price: '9.99'});
+   * book.$get('price'); //-> 9.99
+   */
+  var ModelSchema = {};
+
+  var TYPE_ALIASES = [
+    [String, 'string'],
+    [Number, 'number'],
+    [Boolean, 'boolean'],
+    [Date, 'date'],
+    [Array, 'array'],
+    [Object, 'object']
+  ];
+
+  var TYPE_CHECKS = {
+    'string': _.isString,
+    'number': function (value) {
+      return _.isNumber(value) && !_.isNaN(value);
+    },
+    'integer': function (value) {
+      return _.isNumber(value) && !_.isNaN(value) && value % 1 === 0;
+    },
+    'boolean': _.isBoolean,
+    'date': function (value) {
+      return _.isDate(value) && !_.isNaN(value.getTime());
+    },
+    'array': _.isArray,
+    'object': function (value) {
+      return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+    },
+    'any': function () {
+      return true;
+    }
+  };
+
+  // Built-in coercion functions. They return the original value when it
+  // can not be converted, so the type check reports it afterwards.
+  var COERCIONS = {
+    'string': function (value) {
+      return (_.isNumber(value) || _.isBoolean(value)) ? String(value) : value;
+    },
+    'number': function (value) {
+      if (_.isString(value)) {
+        if (_.trim(value) === '') {
+          return null;
+        }
+        var number = Number(value);
+        return _.isNaN(number) ? value : number;
+      }
+      return value;
+    },
+    'integer': function (value) {
+      value = COERCIONS.number(value);
+      return (_.isNumber(value) && value % 1 !== 0) ? Math.round(value) : value;
+    },
+    'boolean': function (value) {
+      if (value === 'true' || value === '1' || value === 1) {
+        return true;
+      }
+      if (value === 'false' || value === '0' || value === 0) {
+        return false;
+      }
+      return value === '' ? null : value;
+    },
+    'date': function (value) {
+      if (value === '') {
+        return null;
+      }
+      if (_.isString(value) || _.isNumber(value)) {
+        var date = new Date(value);
+        return _.isNaN(date.getTime()) ? value : date;
+      }
+      return value;
+    }
+  };
+
+  function typeName(type) {
+    var alias = _.find(TYPE_ALIASES, function (pair) { return pair[0] === type; });
+    if (alias) {
+      return alias[1];
+    }
+    return type || 'any';
+  }
+
+  /**
+   * @function ModelSchema.normalize
+   * @description Turns shorthand declarations into full attribute descriptions.
+   * @param  {Object} schema A schema declared on a model class
+   * @return {Object} A hash of attribute descriptions
+   */
+  ModelSchema.normalize = function normalize(schema) {
+    var fields = {};
+    _.each(schema, function (field, attr) {
+      if (_.isString(field) || _.isFunction(field)) {
+        field = {type: field};
+      }
+      field = _.extend({nullable: false, required: false}, field);
+      field.type = typeName(field.type);
+      fields[attr] = field;
+    });
+    return fields;
+  };
+
+  /**
+   * @function ModelSchema.defaults
+   * @description Collects default values declared in a schema.
+   * @param  {Object} schema A schema declared on a model class
+   * @return {Object} A hash of default attributes
+   */
+  ModelSchema.defaults = function defaults(schema) {
+    var values = {};
+    _.each(ModelSchema.normalize(schema), function (field, attr) {
+      if (!_.has(field, 'default')) {
+        return;
+      }
+      values[attr] = _.isFunction(field.default) ? field.default() : _.cloneDeep(field.default);
+    });
+    return values;
+  };
+
+  /**
+   * @function ModelSchema.coerce
+   * @description Converts the given attributes to the types declared in a schema.
+   * @param  {Object} schema A schema declared on a model class
+   * @param  {Object} attrs  A hash of attributes to be written
+   * @return {Object} A new hash of coerced attributes
+   */
+  ModelSchema.coerce = function coerce(schema, attrs) {
+    var fields = ModelSchema.normalize(schema);
+    var result = _.clone(attrs);
+
+    _.each(attrs, function (value, attr) {
+      var field = fields[attr];
+      if (!field || value == null || field.coerce === false) {
+        return;
+      }
+      if (_.isFunction(field.coerce)) {
+        result[attr] = field.coerce(value, attrs);
+      }
+      else if (_.isString(field.type) && COERCIONS[field.type]) {
+        result[attr] = COERCIONS[field.type](value);
+      }
+    });
+    return result;
+  };
+
+  /**
+   * @function ModelSchema.validate
+   * @description Checks attributes against a schema.
+   * @param  {Object} schema A schema declared on a model class
+   * @param  {Object} attrs  A complete set of model attributes
+   * @param  {string[]} [keys] Attributes being written. All of the schema attributes are
+   *                           checked, including `required` ones, if omitted.
+   * @return {Object|null} A hash of error messages by attribute, or null if valid
+   */
+  ModelSchema.validate = function validate(schema, attrs, keys) {
+    var fields = ModelSchema.normalize(schema);
+    var errors = {};
+
+    _.each(keys || _.keys(fields), function (attr) {
+      var field = fields[attr];
+      var value = attrs[attr];
+      var message = null;
+
+      if (!field) {
+        return;
+      }
+
+      if (value == null || value === '') {
+        if (field.required && !keys) {
+          message = '"' + attr + '" is required';
+        }
+        else if (value === null && !field.nullable) {
+          message = '"' + attr + '" must not be null';
+        }
+      }
+      else if (_.isFunction(field.type)) {
+        if (!(value instanceof field.type)) {
+          message = '"' + attr + '" has a wrong type';
+        }
+      }
+      else if (TYPE_CHECKS[field.type] && !TYPE_CHECKS[field.type](value)) {
+        message = '"' + attr + '" must be ' + (/^[aeiou]/.test(field.type) ? 'an ' : 'a ') + field.type;
+      }
+      else if (field.enum && !_.some(field.enum, function (item) { return _.isEqual(item, value); })) {
+        message = '"' + attr + '" must be one of: ' + field.enum.join(', ');
+      }
+
+      if (message) {
+        errors[attr] = [message];
+      }
+    });
+
+    return _.isEmpty(errors) ? null : errors;
+  };
+
+  return ModelSchema;
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+angular.module('angular.models')
+
+.provider('ModelServerErrors', function () {
+
+  // Translators of server error payloads registered by an app, by a format name.
+  var FORMATS = {};
+
+  /**
+   * @function ModelServerErrorsProvider#registerFormat
+   * @description Registers a translator of a server error payload. A translator receives
+   *              the response data and returns a hash of error messages by attribute name,
+   *              or nothing when it does not recognize the payload.
+   * @param {string}   name       A format name
+   * @param {Function} translator `function (data, response)`
+   */
+  this.registerFormat = function registerFormat(name, translator) {
+    FORMATS[name] = translator;
+  };
+
+  this.$get = /*@ngInject*/ function(ValidationExceptionClass, _) {
+    /**
+     * @class ModelServerErrors
+     * @description Translates validation errors reported by the server into
+     *              `ValidationExceptionClass` errors, so server and client errors are
+     *              shown the same way. Built-in formats are:
+     *
+     *              * `"rails"`   - `{errors: {title: ["can't be blank"]}}`
+     *              * `"jsonapi"` - `{errors: [{source: {pointer: "/data/attributes/title"}, detail: "..."}]}`
+     *              * `"problem"` - RFC 7807 problem details, fields are read from
+     *                `invalid-params: [{name, reason}]` or an `errors` hash
+     *
+     *              Errors which do not belong to an attribute are reported under `base`.
+     *              A model picks a format with `serverErrorFormat`, by default every format
+     *              is tried in turn.
+     *
+     * @example <caption>Show a server error</caption>
+     * // 422 {"errors": {"title": ["has already been taken"]}}
+     * book.save().catch(function (error) {
+     *   book.validationError.errors; //-> {title: ['has already been taken']}
+     * });
+     */
+    var ModelServerErrors = {};
+
+    function push(errors, key, message) {
+      if (!message) {
+        return;
+      }
+      errors[key] = (errors[key] || []).concat(message);
+    }
+
+    function fromHash(hash) {
+      var errors = {};
+      _.each(hash, function (messages, key) {
+        push(errors, key, _.isArray(messages) ? messages : [String(messages)]);
+      });
+      return errors;
+    }
+
+    // Converts a JSON pointer such as "/data/attributes/address/city" to "address.city".
+    function fromPointer(pointer) {
+      var path = _.compact(String(pointer || '').split('/'));
+      if (path[0] === 'data') {
+        path = path.slice(_.includes(['attributes', 'relationships'], path[1]) ? 2 : 1);
+      }
+      return path.length ? path.join('.') : 'base';
+    }
+
+    function rails(data) {
+      if (!_.isPlainObject(data) || !data.errors) {
+        return;
+      }
+      if (_.isArray(data.errors)) {
+        return _.every(data.errors, _.isString) ? {base: data.errors} : undefined;
+      }
+      return _.isPlainObject(data.errors) ? fromHash(data.errors) : undefined;
+    }
+
+    function jsonapi(data) {
+      if (!_.isPlainObject(data) || !_.isArray(data.errors) || !_.every(data.errors, _.isPlainObject)) {
+        return;
+      }
+      var errors = {};
+      _.each(data.errors, function (error) {
+        var source = error.source || {};
+        push(errors, source.pointer ? fromPointer(source.pointer) : (source.parameter || 'base'), error.detail || error.title);
+      });
+      return errors;
+    }
+
+    function problem(data) {
+      if (!_.isPlainObject(data) || !(data.type || data.title || data.detail)) {
+        return;
+      }
+      var errors = {};
+      if (_.isArray(data['invalid-params'])) {
+        _.each(data['invalid-params'], function (param) {
+          push(errors, param.name || 'base', param.reason);
+        });
+      }
+      else if (_.isPlainObject(data.errors)) {
+        errors = fromHash(data.errors);
+      }
+      if (_.isEmpty(errors)) {
+        push(errors, 'base', data.detail || data.title);
+      }
+      return errors;
+    }
+
+    // Built-in formats go first, registered formats can replace them.
+    var formats = _.extend({rails: rails, jsonapi: jsonapi, problem: problem}, FORMATS);
+
+    /**
+     * @function ModelServerErrors#translate
+     * @description Translates a server error payload into a hash of error messages.
+     * @param  {*} data A response data
+     * @param  {string|Function} [format] A format name or a translator. Every registered
+     *                                    format is tried when omitted.
+     * @param  {Object} [response] A response `{data, status, headers, config}`
+     * @return {Object|null} Error messages by attribute name
+     */
+    ModelServerErrors.translate = function translate(data, format, response) {
+      var translators = _.isFunction(format) ? [format] : (format ? [formats[format]] : _.values(formats));
+      var errors = null;
+      _.find(translators, function (translator) {
+        errors = translator ? translator(data, response) : null;
+        return !_.isEmpty(errors);
+      });
+      return _.isEmpty(errors) ? null : errors;
+    };
+
+    /**
+     * @function ModelServerErrors#exception
+     * @description Creates a validation exception out of a server error payload.
+     * @param  {*} data A response data
+     * @param  {string|Function} [format] A format name or a translator
+     * @param  {Object} [response] A response `{data, status, headers, config}`
+     * @return {ValidationExceptionClass|null}
+     */
+    ModelServerErrors.exception = function exception(data, format, response) {
+      var errors = ModelServerErrors.translate(data, format, response);
+      if (!errors) {
+        return null;
+      }
+      return new ValidationExceptionClass(_.flatten(_.values(errors)).join('; '), errors);
+    };
+
+    return ModelServerErrors;
+  };
+});
@@ -0,0 +1,218 @@
+'use strict';
+
+angular.module('angular.models')
+
+.provider('ModelStore', function () {
+
+  // The maximum number of models kept by the store.
+  var capacity = 1000;
+
+  /**
+   * @function ModelStoreProvider#setCapacity
+   * @description Sets the maximum number of models kept by the store. When the store is full
+   *              the least recently used model is evicted. Pass `0` to keep every model.
+   * @param {number} value A number of models
+   */
+  this.setCapacity = function setCapacity(value) {
+    capacity = value;
+  };
+
+  this.$get = /*@ngInject*/ function(_) {
+    /**
+     * @class ModelStore
+     * @description An identity map which keeps one instance of a model per class and id.
+     *              Models whose class sets `identityMap` to `true` are registered in the store
+     *              as soon as they get an id. Collections and relations resolve models through
+     *              the store, so every screen shares one live object per server entity.
+     *              A model is evicted when it is destroyed, when it is the least recently used
+     *              one and the store is full, or manually by calling {@link ModelStore#evict}.
+     *
+     * @example <caption>Share a person between controllers</caption>
+     * angular.module('myApp', ['angular.models'])
+     *   .config(function (ModelStoreProvider) {
+     *     ModelStoreProvider.setCapacity(500);
+     *   })
+     *   .factory('PersonModelClass', function (BaseModelClass) {
+     *     return BaseModelClass.extend({
+     *       urlRoot: {value: '/persons'},
+     *       identityMap: {value: true}
+     *     });
+     *   })
+     *   .controller('firstCtrl', function (ModelStore, PersonModelClass) {
+     *     this.person = ModelStore.resolve(PersonModelClass, {id: 1});
+     *   })
+     *   .controller('secondCtrl', function (ModelStore, PersonModelClass) {
+     *     // The same instance as the one in 'firstCtrl'
+     *     this.person = ModelStore.resolve(PersonModelClass, {id: 1});
+     *   });
+     */
+    var ModelStore = {};
+
+    // Models by a composite key of a class and an id.
+    var models = {};
+    // Composite keys by a model's cid.
+    var keys = {};
+    // Composite keys, the least recently used first.
+    var order = [];
+
+    function classKey(Model) {
+      if (!Object.prototype.hasOwnProperty.call(Model, '$$storeKey')) {
+        Object.defineProperty(Model, '$$storeKey', {value: _.uniqueId('s')});
+      }
+      return Model.$$storeKey;
+    }
+
+    function keyOf(Model, id) {
+      return classKey(Model) + ':' + id;
+    }
+
+    function touch(key) {
+      var index = _.indexOf(order, key);
+      if (index !== -1) {
+        order.splice(index, 1);
+      }
+      order.push(key);
+    }
+
+    function onDestroy(model) {
+      ModelStore.evict(model);
+    }
+
+    function remove(key) {
+      var model = models[key];
+      delete models[key];
+      delete keys[model.cid];
+      order.splice(_.indexOf(order, key), 1);
+      model.off('destroy', onDestroy, ModelStore);
+      return model;
+    }
+
+    /**
+     * @function ModelStore#get
+     * @description Returns a stored model of a class by its id.
+     * @param  {Function} Model A model class
+     * @param  {string|number} id A model's id
+     * @return {BaseModelClass|undefined}
+     */
+    ModelStore.get = function get(Model, id) {
+      var key = keyOf(Model, id);
+      if (id == null || !models[key]) {
+        return void 0;
+      }
+      touch(key);
+      return models[key];
+    };
+
+    /**
+     * @function ModelStore#add
+     * @description Registers a model in the store, or moves it to a new key when its id has
+     *              changed. A model is not registered if it has no id, or if another instance
+     *              of the same class and id is already stored.
+     * @param  {BaseModelClass} model A model
+     * @return {BaseModelClass} The stored instance
+     */
+    ModelStore.add = function add(model) {
+      var key;
+      var previousKey = keys[model.cid];
+
+      if (model.id == null) {
+        if (previousKey) {
+          remove(previousKey);
+        }
+        return model;
+      }
+
+      key = keyOf(model.constructor, model.id);
+      if (models[key] && models[key] !== model) {
+        touch(key);
+        return models[key];
+      }
+      if (previousKey && previousKey !== key) {
+        remove(previousKey);
+      }
+      if (!models[key]) {
+        models[key] = model;
+        keys[model.cid] = key;
+        model.on('destroy', onDestroy, ModelStore);
+      }
+      touch(key);
+
+      while (capacity && order.length > capacity) {
+        remove(order[0]);
+      }
+      return model;
+    };
+
+    /**
+     * @function ModelStore#resolve
+     * @description Returns a stored model of a class whose id matches the given attributes,
+     *              merging the attributes into it. Creates a new model otherwise.
+     * @param  {Function} Model A model class
+     * @param  {Object} attrs   A hash of attributes, or a model
+     * @param  {Object} options Options passed to the model's constructor or `$set`
+     * @return {BaseModelClass}
+     */
+    ModelStore.resolve = function resolve(Model, attrs, options) {
+      var existing;
+      var data = attrs || {};
+      options = options || {};
+
+      if (data instanceof Model) {
+        return ModelStore.add(data);
+      }
+
+      if (options.parse) {
+        data = _.isString(Model.prototype.parse) ? _.result(data, Model.prototype.parse, {}) : (Model.prototype.parse(data, options) || {});
+      }
+
+      existing = ModelStore.get(Model, data[Model.prototype.idAttribute]);
+      if (!existing) {
+        return new Model(attrs, options);
+      }
+      if (options.collection && !existing.collection) {
+        existing.collection = options.collection;
+      }
+      existing.$set(data, _.extend(_.omit(options, 'parse', 'collection'), options.parse ? {paths: false} : null));
+      return existing;
+    };
+
+    /**
+     * @function ModelStore#evict
+     * @description Removes a model from the store. Accepts either a model, or a class and an id.
+     * @param  {BaseModelClass|Function} model A model, or a model class
+     * @param  {string|number} [id] A model's id, if a class was given
+     * @return {BaseModelClass|undefined} The evicted model
+     */
+    ModelStore.evict = function evict(model, id) {
+      var key = _.isFunction(model) ? keyOf(model, id) : keys[model.cid];
+      if (key && models[key]) {
+        return remove(key);
+      }
+    };
+
+    /**
+     * @function ModelStore#clear
+     * @description Removes every model of a class from the store, or all models if no class
+     *              was given.
+     * @param {Function} [Model] A model class
+     */
+    ModelStore.clear = function clear(Model) {
+      var prefix = Model ? classKey(Model) + ':' : '';
+      _.each(_.keys(models), function (key) {
+        if (key.indexOf(prefix) === 0) {
+          remove(key);
+        }
+      });
+    };
+
+    /**
+     * @function ModelStore#size
+     * @return {number} A number of stored models
+     */
+    ModelStore.size = function size() {
+      return order.length;
+    };
+
+    return ModelStore;
+  };
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+angular.module('angular.models')
+
+.factory('IndexedDBSyncAdapter', function ($q, $window, $rootScope, BaseSyncAdapterClass, _) {
+
+  var DB_NAME = 'angular.models';
+  var OBJECT_STORE = 'records';
+
+  // Settles a deferred within a digest, since IndexedDB calls back outside of Angular.
+  function settle(request, deferred, map) {
+    request.onsuccess = function () {
+      $rootScope.$apply(function () {
+        deferred.resolve(map ? map(request.result) : request.result);
+      });
+    };
+    request.onerror = function () {
+      $rootScope.$apply(function () {
+        deferred.reject(request.error);
+      });
+    };
+    return deferred.promise;
+  }
+
+  /**
+   * @class IndexedDBSyncAdapterClass
+   * @augments BaseSyncAdapterClass
+   * @description Keeps records of all stores in one object store of the 'angular.models'
+   *              database. Records are keyed by a store name and an id, and indexed by a
+   *              store name.
+   */
+  var IndexedDBSyncAdapterClass = BaseSyncAdapterClass.extend({
+
+    $open: function $open() {
+      if (!this.$db) {
+        var self = this;
+        var deferred = $q.defer();
+        var request;
+
+        if (!$window.indexedDB) {
+          return $q.reject(new Error('IndexedDB is not supported'));
+        }
+        request = $window.indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = function () {
+          request.result
+            .createObjectStore(OBJECT_STORE)
+            .createIndex('store', 'store');
+        };
+        // A failed open is not cached, so the next request tries again.
+        this.$db = settle(request, deferred).catch(function (error) {
+          self.$db = null;
+          return $q.reject(error);
+        });
+      }
+      return this.$db;
+    },
+
+    $request: function $request(mode, fn, map) {
+      return this.$open().then(function (db) {
+        var objectStore = db.transaction(OBJECT_STORE, mode).objectStore(OBJECT_STORE);
+        return settle(fn(objectStore), $q.defer(), map);
+      });
+    },
+
+    $getAll: function $getAll(store) {
+      return this.$request('readonly', function (objectStore) {
+        return objectStore.index('store').getAll(store);
+      }, function (entries) {
+        return _.pluck(entries, 'data');
+      });
+    },
+
+    $getOne: function $getOne(store, id) {
+      return this.$request('readonly', function (objectStore) {
+        return objectStore.get(store + ':' + id);
+      }, function (entry) {
+        return entry && entry.data;
+      });
+    },
+
+    $put: function $put(store, id, record) {
+      return this.$request('readwrite', function (objectStore) {
+        return objectStore.put({store: store, data: record}, store + ':' + id);
+      }, _.constant(record));
+    },
+
+    $remove: function $remove(store, id) {
+      return this.$request('readwrite', function (objectStore) {
+        return objectStore.delete(store + ':' + id);
+      }, _.noop);
+    }
+  });
+
+  return new IndexedDBSyncAdapterClass();
+});
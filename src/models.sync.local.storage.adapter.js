@@ -0,0 +1,50 @@
+'use strict';
+
+angular.module('angular.models')
+
+.factory('LocalStorageSyncAdapter', function ($q, $window, BaseSyncAdapterClass, _) {
+
+  // A prefix of storage keys.
+  var PREFIX = 'angular.models:';
+
+  /**
+   * @class LocalStorageSyncAdapterClass
+   * @augments BaseSyncAdapterClass
+   * @description Keeps every store as a JSON hash of records by id under one
+   *              `localStorage` key.
+   */
+  var LocalStorageSyncAdapterClass = BaseSyncAdapterClass.extend({
+
+    $read: function $read(store) {
+      return JSON.parse($window.localStorage.getItem(PREFIX + store) || '{}');
+    },
+
+    $write: function $write(store, records) {
+      $window.localStorage.setItem(PREFIX + store, JSON.stringify(records));
+    },
+
+    $getAll: function $getAll(store) {
+      return $q.when(_.values(this.$read(store)));
+    },
+
+    $getOne: function $getOne(store, id) {
+      return $q.when(this.$read(store)[id]);
+    },
+
+    $put: function $put(store, id, record) {
+      var records = this.$read(store);
+      records[id] = record;
+      this.$write(store, records);
+      return $q.when(record);
+    },
+
+    $remove: function $remove(store, id) {
+      var records = this.$read(store);
+      delete records[id];
+      this.$write(store, records);
+      return $q.when();
+    }
+  });
+
+  return new LocalStorageSyncAdapterClass();
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+angular.module('angular.models')
+
+.provider('ModelTransformers', function () {
+
+  // Transformers registered by an app, by a type name.
+  var TRANSFORMERS = {};
+
+  /**
+   * @function ModelTransformersProvider#registerTransformer
+   * @description Registers a type of attribute transformers. Both functions receive a value
+   *              and options of the attribute, `parse` converts a value sent by the server
+   *              and `serialize` converts it back. Registered types can replace built-in ones.
+   * @param {string} name        A type name
+   * @param {Object} transformer `{parse: fn, serialize: fn}`
+   */
+  this.registerTransformer = function registerTransformer(name, transformer) {
+    TRANSFORMERS[name] = transformer;
+  };
+
+  this.$get = /*@ngInject*/ function(_) {
+    /**
+     * @class ModelTransformers
+     * @description Converts attributes between their representation on the server and
+     *              in the app, as declared by `transformers` of a model. Every key of
+     *              `transformers` is an attribute name and every value is a type name,
+     *              `{type: name, ...options}` or `{parse: fn, serialize: fn}`. Built-in types:
+     *
+     *              * `date`    - an ISO-8601 string, parsed into a Date
+     *              * `epoch`   - milliseconds since epoch, parsed into a Date
+     *              * `money`   - an integer amount of minor units, e.g. cents, parsed into a
+     *                            decimal. `digits` sets a number of decimals, 2 by default.
+     *              * `boolean` - `"1"`/`"0"`, parsed into a boolean. `trueValue` and
+     *                            `falseValue` set values sent to the server.
+     *              * `enum`    - a map of `values` sent by the server to values of the app
+     *
+     *              `null` and `undefined` are never converted.
+     *
+     * @example <caption>Transform attributes of an order</caption>
+     * var Order = BaseModelClass.extend({
+     *   transformers: {
+     *     value: {
+     *       createdAt: 'date',
+     *       total: {type: 'money', digits: 2},
+     *       paid: 'boolean',
+     *       status: {type: 'enum', values: {1: 'new', 2: 'shipped'}}
+     *     }
+     *   }
+     * });
+     *
+     * var order = new Order({total: 1999, paid: '1', status: 2}, {parse: true});
+     * order.$get('total'); //-> 19.99
+     * order.toJSON(); //-> {total: 1999, paid: '1', status: 2}
+     */
+    var ModelTransformers = {};
+
+    function toDate(value) {
+      var date = _.isDate(value) ? value : new Date(value);
+      return _.isNaN(date.getTime()) ? value : date;
+    }
+
+    var BUILT_IN = {
+      date: {
+        parse: function (value) {
+          return _.isString(value) || _.isNumber(value) ? toDate(value) : value;
+        },
+        serialize: function (value) {
+          return _.isDate(value) ? value.toISOString() : value;
+        }
+      },
+      epoch: {
+        parse: function (value) {
+          return _.isNumber(value) || _.isString(value) ? toDate(Number(value)) : value;
+        },
+        serialize: function (value) {
+          return _.isDate(value) ? value.getTime() : value;
+        }
+      },
+      money: {
+        parse: function (value, options) {
+          return _.isFinite(Number(value)) ? Number(value) / Math.pow(10, _.has(options, 'digits') ? options.digits : 2) : value;
+        },
+        serialize: function (value, options) {
+          return _.isNumber(value) ? Math.round(value * Math.pow(10, _.has(options, 'digits') ? options.digits : 2)) : value;
+        }
+      },
+      boolean: {
+        parse: function (value, options) {
+          if (_.includes(['1', 1, 'true', true, options.trueValue], value)) {
+            return true;
+          }
+          if (_.includes(['0', 0, 'false', false, '', options.falseValue], value)) {
+            return false;
+          }
+          return value;
+        },
+        serialize: function (value, options) {
+          if (!_.isBoolean(value)) {
+            return value;
+          }
+          return value ? (_.has(options, 'trueValue') ? options.trueValue : '1') : (_.has(options, 'falseValue') ? options.falseValue : '0');
+        }
+      },
+      enum: {
+        parse: function (value, options) {
+          return _.has(options.values, value) ? options.values[value] : value;
+        },
+        serialize: function (value, options) {
+          var key = _.findKey(options.values, function (item) { return _.isEqual(item, value); });
+          if (key === void 0) {
+            return value;
+          }
+          // Keys of a map are strings, send numbers back as numbers.
+          return _.isFinite(Number(key)) && _.trim(key) !== '' ? Number(key) : key;
+        }
+      }
+    };
+
+    // Built-in types go first, registered types can replace them.
+    var types = _.extend({}, BUILT_IN, TRANSFORMERS);
+
+    function transformer(field) {
+      field = _.isString(field) ? {type: field} : field;
+      if (field.type && !types[field.type]) {
+        throw new Error('Unknown attribute transformer "' + field.type + '"');
+      }
+      return {options: field, transform: field.type ? types[field.type] : field};
+    }
+
+    function convert(transformers, attrs, method) {
+      var result = _.clone(attrs);
+      _.each(transformers, function (field, attr) {
+        if (_.has(attrs, attr)) {
+          result[attr] = ModelTransformers[method + 'Value'](transformers, attr, attrs[attr]);
+        }
+      });
+      return result;
+    }
+
+    /**
+     * @function ModelTransformers.parseValue
+     * @description Converts a value of an attribute sent by the server.
+     * @param  {Object} transformers Transformers declared on a model class
+     * @param  {string} attr  An attribute name
+     * @param  {*}      value A value
+     * @return {*}
+     */
+    ModelTransformers.parseValue = function parseValue(transformers, attr, value) {
+      if (!transformers || !transformers[attr] || value == null) {
+        return value;
+      }
+      var field = transformer(transformers[attr]);
+      return field.transform.parse ? field.transform.parse(value, field.options) : value;
+    };
+
+    /**
+     * @function ModelTransformers.serializeValue
+     * @description Converts a value of an attribute to be sent to the server.
+     * @param  {Object} transformers Transformers declared on a model class
+     * @param  {string} attr  An attribute name
+     * @param  {*}      value A value
+     * @return {*}
+     */
+    ModelTransformers.serializeValue = function serializeValue(transformers, attr, value) {
+      if (!transformers || !transformers[attr] || value == null) {
+        return value;
+      }
+      var field = transformer(transformers[attr]);
+      return field.transform.serialize ? field.transform.serialize(value, field.options) : value;
+    };
+
+    /**
+     * @function ModelTransformers.parse
+     * @description Converts attributes sent by the server.
+     * @param  {Object} transformers Transformers declared on a model class
+     * @param  {Object} attrs A hash of attributes
+     * @return {Object} A new hash of attributes
+     */
+    ModelTransformers.parse = function parse(transformers, attrs) {
+      return convert(transformers, attrs, 'parse');
+    };
+
+    /**
+     * @function ModelTransformers.serialize
+     * @description Converts attributes to be sent to the server.
+     * @param  {Object} transformers Transformers declared on a model class
+     * @param  {Object} attrs A hash of attributes
+     * @return {Object} A new hash of attributes
+     */
+    ModelTransformers.serialize = function serialize(transformers, attrs) {
+      return convert(transformers, attrs, 'serialize');
+    };
+
+    return ModelTransformers;
+  };
+});
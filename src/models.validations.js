@@ -0,0 +1,235 @@
+'use strict';
+
+angular.module('angular.models')
+
+.provider('ModelValidations', function () {
+
+  // Validation rules registered by an app, by a rule name.
+  var RULES = {};
+
+  /**
+   * @function ModelValidationsProvider#registerRule
+   * @description Registers a validation rule. A rule receives a value, the rule's option,
+   *              all of the attributes and a model, and returns an error message, or nothing
+   *              when the value is valid. Registered rules can replace built-in ones.
+   * @param {string}   name A rule name
+   * @param {Function} rule `function (value, option, attrs, model, attr)`
+   */
+  this.registerRule = function registerRule(name, rule) {
+    RULES[name] = rule;
+  };
+
+  this.$get = /*@ngInject*/ function(_) {
+    /**
+     * @class ModelValidations
+     * @description Checks attributes against declarative `validations` of a model. Every key
+     *              of `validations` is an attribute name and every value is a hash of rules:
+     *
+     *              * `required`     - the value must not be empty. Like `required` of a schema,
+     *                                 it is checked by `save` and `isValid` only.
+     *              * `min`, `max`   - a number must not be less or greater
+     *              * `length`       - `{min, max, is}` length of a string or an array
+     *              * `pattern`      - a RegExp the value must match
+     *              * `email`, `url` - the value must be an email address or a URL
+     *              * `number`       - the value must be numeric, `{integer: true}` for integers
+     *              * `date`         - the value must be a valid date, `{after, before}` for a range
+     *              * `inclusion`    - a list of allowed values
+     *              * `confirmation` - the value must equal `<attr>Confirmation`, or another
+     *                                 attribute if a name is given. It is checked once both
+     *                                 are filled in, so declare the other one `required` too.
+     *              * `custom`       - a function `(value, attrs, model)` which returns an error
+     *                                 message, or false
+     *
+     *              Empty values are checked by `required` only. An option can be given as
+     *              `{value: option, message: 'Custom message'}` to override the message, and a
+     *              function alone is a shorthand for `{custom: fn}`.
+     *
+     * @example <caption>Validate a sign up form</caption>
+     * var Account = BaseModelClass.extend({
+     *   validations: {
+     *     value: {
+     *       email: {required: true, email: true},
+     *       password: {required: true, length: {min: 8}, confirmation: true},
+     *       age: {number: {integer: true}, min: 18}
+     *     }
+     *   }
+     * });
+     *
+     * account.isValid('password'); //-> false
+     * account.errorsFor('password'); //-> ['"password" is too short (minimum is 8)']
+     */
+    var ModelValidations = {};
+
+    var EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    var URL = /^(https?|ftp):\/\/[^\s\/$.?#][^\s]*$/i;
+
+    function isEmpty(value) {
+      return value == null || value === '' || (_.isArray(value) && !value.length);
+    }
+
+    function toDate(value) {
+      var date = _.isDate(value) ? value : new Date(value);
+      return _.isNaN(date.getTime()) ? null : date;
+    }
+
+    function label(attr) {
+      return '"' + attr + '"';
+    }
+
+    var BUILT_IN = {
+      required: function (value, option, attrs, model, attr) {
+        if (option && isEmpty(value)) {
+          return label(attr) + ' is required';
+        }
+      },
+      min: function (value, option, attrs, model, attr) {
+        if (Number(value) < option) {
+          return label(attr) + ' must be at least ' + option;
+        }
+      },
+      max: function (value, option, attrs, model, attr) {
+        if (Number(value) > option) {
+          return label(attr) + ' must be at most ' + option;
+        }
+      },
+      length: function (value, option, attrs, model, attr) {
+        var length = value.length;
+        option = _.isNumber(option) ? {is: option} : option;
+        if (_.has(option, 'is') && length !== option.is) {
+          return label(attr) + ' must be ' + option.is + ' long';
+        }
+        if (_.has(option, 'min') && length < option.min) {
+          return label(attr) + ' is too short (minimum is ' + option.min + ')';
+        }
+        if (_.has(option, 'max') && length > option.max) {
+          return label(attr) + ' is too long (maximum is ' + option.max + ')';
+        }
+      },
+      pattern: function (value, option, attrs, model, attr) {
+        if (!option.test(String(value))) {
+          return label(attr) + ' is invalid';
+        }
+      },
+      email: function (value, option, attrs, model, attr) {
+        if (option && !EMAIL.test(String(value))) {
+          return label(attr) + ' must be an email address';
+        }
+      },
+      url: function (value, option, attrs, model, attr) {
+        if (option && !URL.test(String(value))) {
+          return label(attr) + ' must be a URL';
+        }
+      },
+      number: function (value, option, attrs, model, attr) {
+        var number = _.isString(value) ? Number(value) : value;
+        if (!option) {
+          return;
+        }
+        if (!_.isNumber(number) || !_.isFinite(number)) {
+          return label(attr) + ' must be a number';
+        }
+        if (option.integer && number % 1 !== 0) {
+          return label(attr) + ' must be an integer';
+        }
+      },
+      date: function (value, option, attrs, model, attr) {
+        var date, after, before;
+        if (!option) {
+          return;
+        }
+        date = toDate(value);
+        after = option.after && toDate(_.result(option, 'after'));
+        before = option.before && toDate(_.result(option, 'before'));
+        if (!date) {
+          return label(attr) + ' must be a date';
+        }
+        if (after && date < after) {
+          return label(attr) + ' must be after ' + after.toISOString();
+        }
+        if (before && date > before) {
+          return label(attr) + ' must be before ' + before.toISOString();
+        }
+      },
+      inclusion: function (value, option, attrs, model, attr) {
+        if (!_.some(option, function (item) { return _.isEqual(item, value); })) {
+          return label(attr) + ' must be one of: ' + option.join(', ');
+        }
+      },
+      confirmation: function (value, option, attrs, model, attr) {
+        var other = _.isString(option) ? option : attr + 'Confirmation';
+        if (option && !isEmpty(attrs[other]) && !_.isEqual(value, attrs[other])) {
+          return label(attr) + ' does not match ' + label(other);
+        }
+      },
+      custom: function (value, option, attrs, model, attr) {
+        var result = option.call(model, value, attrs, model);
+        if (result === false) {
+          return label(attr) + ' is invalid';
+        }
+        return _.isString(result) ? result : null;
+      }
+    };
+
+    // Built-in rules go first, registered rules can replace them.
+    var rules = _.extend({}, BUILT_IN, RULES);
+
+    /**
+     * @function ModelValidations.normalize
+     * @description Turns shorthand declarations into hashes of rules.
+     * @param  {Object} validations Validations declared on a model class
+     * @return {Object} A hash of rules by attribute name
+     */
+    ModelValidations.normalize = function normalize(validations) {
+      return _.mapValues(validations, function (field) {
+        return _.isFunction(field) ? {custom: field} : field;
+      });
+    };
+
+    /**
+     * @function ModelValidations.validate
+     * @description Checks attributes against declarative validations.
+     * @param  {Object} validations Validations declared on a model class
+     * @param  {Object} attrs  A complete set of model attributes
+     * @param  {string[]} [keys] Attributes being written. All of the declared attributes are
+     *                           checked, including `required` rules, if omitted.
+     * @param  {BaseModelClass} [model] A model being validated
+     * @return {Object|null} A hash of error messages by attribute, or null if valid
+     */
+    ModelValidations.validate = function validate(validations, attrs, keys, model) {
+      var fields = ModelValidations.normalize(validations);
+      var errors = {};
+
+      _.each(keys || _.keys(fields), function (attr) {
+        var field = fields[attr];
+        var value = attrs[attr];
+        var messages = [];
+
+        _.each(field, function (option, name) {
+          var message;
+          var custom = _.isPlainObject(option) && _.has(option, 'message') ? option.message : null;
+          if (custom !== null) {
+            option = _.has(option, 'value') ? option.value : _.omit(option, 'message');
+          }
+          if (!rules[name]) {
+            throw new Error('Unknown validation rule "' + name + '" of "' + attr + '"');
+          }
+          if (name === 'required' ? keys : isEmpty(value)) {
+            return;
+          }
+          message = rules[name](value, option, attrs, model, attr);
+          if (message) {
+            messages.push(custom !== null ? custom : message);
+          }
+        });
+
+        if (messages.length) {
+          errors[attr] = messages;
+        }
+      });
+
+      return _.isEmpty(errors) ? null : errors;
+    };
+
+    return ModelValidations;
+  };
+});
@@ -122,4 +122,139 @@ describe('BaseCollectionClass', function () {
     collection.customFn();
     expect(collection.customFn).toHaveBeenCalled();
   });
+
+  describe('sorting', function () {
+    it('sorts by an attribute named by a comparator', function () {
+      var persons = new Persons([{id: 1, name: 'Oshri'}, {id: 2, name: 'Eugene'}], {comparator: 'name'});
+      expect(persons.pluck('id')).toEqual([2, 1]);
+
+      persons.get(2).$set('name', 'Yuri');
+      persons.sort();
+      expect(persons.pluck('id')).toEqual([1, 2]);
+    });
+
+    it('sorts by a value returned by a comparator of one argument', function () {
+      var persons = new Persons([{id: 1, age: 40}, {id: 2, age: 30}], {
+        comparator: function (person) { return person.$get('age'); }
+      });
+      expect(persons.pluck('id')).toEqual([2, 1]);
+    });
+
+    it('sorts by a comparator of two arguments', function () {
+      var persons = new Persons([{id: 1}, {id: 2}], {
+        comparator: function (a, b) { return b.id - a.id; }
+      });
+      expect(persons.pluck('id')).toEqual([2, 1]);
+    });
+  });
+
+  it('plucks an attribute of every model', function () {
+    var persons = new Persons([{id: 1, name: 'Oshri'}, {id: 2, name: 'Eugene'}]);
+    expect(persons.pluck('name')).toEqual(['Oshri', 'Eugene']);
+  });
+
+  describe('bulk operations', function () {
+    var $timeout;
+    var Rows;
+    var headers = {'accept': 'application/json, text/plain, */*'};
+    var jsonHeaders = {'accept': 'application/json, text/plain, */*', 'content-type': 'application/json'};
+
+    beforeEach(inject(function (_$timeout_) {
+      $timeout = _$timeout_;
+      Rows = Persons.extend({
+        batch: {value: '/persons/bulk'}
+      });
+    }));
+
+    it('saves new and dirty models by one bulk request', function () {
+      var rows = new Rows([{id: 1, name: 'Eugene'}, {id: 2, name: 'Oshri'}, {id: 3, name: 'Ilan'}]);
+      var syncSpy = jasmine.createSpy('sync');
+      var errorSpy = jasmine.createSpy('error');
+      var resolved = jasmine.createSpy('resolved');
+      rows.get(1).$set('name', 'Eugene K.');
+      rows.get(2).$set('name', 'Oshri Z.');
+      rows.add({name: 'Dan'});
+      rows.get(1).on('sync', syncSpy);
+      rows.get(2).on('error', errorSpy);
+
+      $httpBackend.expectPOST('/persons/bulk', [
+        {method: 'PUT', url: '/persons/1', headers: jsonHeaders, body: {id: 1, name: 'Eugene K.'}},
+        {method: 'PUT', url: '/persons/2', headers: jsonHeaders, body: {id: 2, name: 'Oshri Z.'}},
+        {method: 'POST', url: '/persons', headers: jsonHeaders, body: {name: 'Dan'}}
+      ]).respond([
+        {status: 200, body: {id: 1, name: 'Eugene K.', updated: true}},
+        {status: 422, body: {name: 'taken'}},
+        {status: 201, body: {id: 4, name: 'Dan'}}
+      ]);
+      rows.saveAll().then(resolved);
+      $timeout.flush();
+      $httpBackend.flush();
+
+      expect(rows.get(1).$get('updated')).toBe(true);
+      expect(syncSpy).toHaveBeenCalled();
+      expect(errorSpy.calls.mostRecent().args[1]).toEqual({name: 'taken'});
+      expect(errorSpy.calls.mostRecent().args[2]).toEqual(422);
+      expect(rows.last().id).toEqual(4);
+      expect(resolved).not.toHaveBeenCalled();
+    });
+
+    it('destroys models by one bulk request', function () {
+      var rows = new Rows([{id: 1}, {id: 2}]);
+
+      $httpBackend.expectPOST('/persons/bulk', [
+        {method: 'DELETE', url: '/persons/1', headers: headers},
+        {method: 'DELETE', url: '/persons/2', headers: headers}
+      ]).respond([{status: 204}, {status: 204}]);
+      rows.destroyAll();
+      $timeout.flush();
+      $httpBackend.flush();
+
+      expect(rows.length).toEqual(0);
+    });
+
+    it('sends conditional headers of every request', function () {
+      var rows = new Rows([{id: 1, name: 'Eugene'}]);
+      rows.get(1).conditional = true;
+      rows.get(1).etag = '"v1"';
+      rows.get(1).$set('name', 'Eugene K.');
+
+      $httpBackend.expectPOST('/persons/bulk', [
+        {method: 'PUT', url: '/persons/1', headers: angular.extend({'If-Match': '"v1"'}, jsonHeaders), body: {id: 1, name: 'Eugene K.'}}
+      ]).respond([{status: 200, body: {id: 1, name: 'Eugene K.'}}]);
+      rows.saveAll();
+      $timeout.flush();
+      $httpBackend.flush();
+    });
+
+    it('gathers saves of one tick and accepts a custom format', function () {
+      var Tasks = BaseModelClass.extend({
+        urlRoot: {value: '/tasks'},
+        batch: {
+          value: {
+            url: '/batch',
+            serialize: function (requests) {
+              return {ops: requests};
+            },
+            parse: function (data) {
+              return data.results;
+            }
+          }
+        }
+      });
+
+      $httpBackend.expectPOST('/batch', function (data) {
+        return angular.fromJson(data).ops.length === 2;
+      }).respond({results: [{status: 200, body: {id: 1, done: true}}, {status: 200, body: {id: 2}}]});
+      var first = new Tasks({id: 1});
+      first.save({done: true}, {});
+      new Tasks({id: 2}).save();
+      $timeout.flush();
+      $httpBackend.flush();
+      expect(first.$get('done')).toBe(true);
+
+      $httpBackend.expectPUT('/tasks/1').respond({id: 1});
+      first.save(null, {batch: false});
+      $httpBackend.flush();
+    });
+  });
 });
@@ -136,6 +136,209 @@ describe('BaseModelClass', function () {
       expect(person.$get('name')).toEqual('Eugene Brodsky');
     });
 
+    describe('wait and optimistic modes', function () {
+      var person;
+      var rollbackSpy;
+      var rejectedSpy;
+
+      beforeEach(function () {
+        person = new Person({id: 1, name: 'Eugene'});
+        rollbackSpy = jasmine.createSpy('rollback');
+        rejectedSpy = jasmine.createSpy('rejected');
+        person.on('rollback', rollbackSpy);
+      });
+
+      it('sets attributes only after the server responds if asked to wait', function () {
+        $httpBackend.expectPUT('/persons/1', {id: 1, name: 'Eugene', title: 'Architect'})
+          .respond(200, {});
+
+        person.save({title: 'Architect'}, {wait: true});
+        expect(person.has('title')).toBe(false);
+        $httpBackend.flush();
+        expect(person.$get('title')).toEqual('Architect');
+      });
+
+      it('never sets attributes if a waiting save fails', function () {
+        $httpBackend.expectPUT('/persons/1').respond(500, {});
+
+        person.save({title: 'Architect'}, {wait: true}).catch(rejectedSpy);
+        $httpBackend.flush();
+        expect(rejectedSpy).toHaveBeenCalled();
+        expect(person.has('title')).toBe(false);
+      });
+
+      it('restores attributes if an optimistic save fails', function () {
+        $httpBackend.expectPUT('/persons/1').respond(500, {});
+
+        person.save({name: 'Oshri', title: 'Architect'}, {optimistic: true}).catch(rejectedSpy);
+        expect(person.$get('name')).toEqual('Oshri');
+        $httpBackend.flush();
+
+        expect(rejectedSpy).toHaveBeenCalled();
+        expect(person.attributes).toEqual({id: 1, name: 'Eugene'});
+        expect(rollbackSpy).toHaveBeenCalledWith(person, {attributes: ['name', 'title']}, jasmine.any(Object));
+      });
+
+      it('keeps attributes if an optimistic save succeeds', function () {
+        $httpBackend.expectPUT('/persons/1').respond(200, {});
+        person.save({name: 'Oshri'}, {optimistic: true});
+        $httpBackend.flush();
+        expect(person.$get('name')).toEqual('Oshri');
+        expect(rollbackSpy).not.toHaveBeenCalled();
+      });
+
+      describe('destroy', function () {
+        var persons;
+
+        beforeEach(inject(function (BaseCollectionClass) {
+          persons = new BaseCollectionClass([{id: 0}, person, {id: 2}], {model: Person});
+        }));
+
+        it('removes a model once the server responds by default', function () {
+          $httpBackend.expectDELETE('/persons/1').respond(204, '');
+          person.destroy();
+          expect(persons.length).toEqual(3);
+          $httpBackend.flush();
+          expect(persons.length).toEqual(2);
+        });
+
+        it('removes a model right away unless asked to wait', function () {
+          $httpBackend.expectDELETE('/persons/1').respond(500, '');
+          person.destroy({wait: false});
+          expect(persons.length).toEqual(2);
+          $httpBackend.flush();
+          expect(persons.length).toEqual(2);
+        });
+
+        it('adds a model back if an optimistic destroy fails', function () {
+          $httpBackend.expectDELETE('/persons/1').respond(500, '');
+          person.destroy({optimistic: true}).catch(rejectedSpy);
+          expect(persons.get(1)).toBeUndefined();
+          $httpBackend.flush();
+
+          expect(rejectedSpy).toHaveBeenCalled();
+          expect(persons.at(1)).toBe(person);
+          expect(rollbackSpy).toHaveBeenCalledWith(person, {collection: persons, index: 1}, jasmine.any(Object));
+        });
+      });
+    });
+
+    describe('partial save', function () {
+      var person;
+
+      beforeEach(function () {
+        person = new Person({id: 1, name: 'Eugene', title: 'Developer', city: 'Tel Aviv'});
+      });
+
+      it('sends only changed attributes with PATCH', function () {
+        $httpBackend.expectPATCH('/persons/1', {title: 'Architect', city: null})
+          .respond({id: 1, name: 'Eugene', title: 'Architect'});
+
+        person.$set('title', 'Architect');
+        person.unset('city');
+        person.save({patch: true});
+        $httpBackend.flush();
+
+        expect(person.$get('title')).toEqual('Architect');
+        expect(person.isDirty()).toBe(false);
+      });
+
+      it('sets attributes before saving', function () {
+        $httpBackend.expectPATCH('/persons/1', {name: 'Eugene Brodsky'})
+          .respond({id: 1, name: 'Eugene Brodsky'});
+
+        person.save({name: 'Eugene Brodsky'}, {patch: true});
+        $httpBackend.flush();
+        expect(person.$get('name')).toEqual('Eugene Brodsky');
+      });
+
+      it('sets a key and a value before saving', function () {
+        $httpBackend.expectPATCH('/persons/1', {title: 'Architect'}).respond({id: 1, title: 'Architect'});
+
+        person.save('title', 'Architect', {patch: true});
+        $httpBackend.flush();
+        expect(person.$get('title')).toEqual('Architect');
+      });
+
+      it('saves attributes alone given null options', function () {
+        $httpBackend.expectPUT('/persons/1', {id: 1, name: 'Eugene', title: 'Architect', city: 'Tel Aviv'})
+          .respond(200, {});
+
+        person.save({title: 'Architect'}, null);
+        $httpBackend.flush();
+        expect(person.$get('title')).toEqual('Architect');
+      });
+
+      it('sends a full body with PUT unless asked to patch', function () {
+        $httpBackend.expectPUT('/persons/1', {id: 1, name: 'Eugene', title: 'Architect', city: 'Tel Aviv'})
+          .respond(200, {});
+
+        person.save({title: 'Architect'}, {});
+        $httpBackend.flush();
+      });
+
+      it('creates a new model with POST', function () {
+        $httpBackend.expectPOST('/persons', {name: 'Oshri'}).respond({id: 2, name: 'Oshri'});
+
+        new Person().save({name: 'Oshri'}, {patch: true});
+        $httpBackend.flush();
+      });
+
+      it('sends a JSON Patch document', function () {
+        $httpBackend.expectPATCH('/persons/1', [
+          {op: 'replace', path: '/title', value: 'Architect'},
+          {op: 'add', path: '/skills~1tools', value: ['js']},
+          {op: 'remove', path: '/city'}
+        ], function (headers) {
+          return headers['content-type'] === 'application/json-patch+json';
+        }).respond(200, {});
+
+        person.unset('city');
+        person.save({title: 'Architect', 'skills/tools': ['js']}, {patch: true, patchFormat: 'json-patch'});
+        $httpBackend.flush();
+      });
+    });
+
+    describe('serialization', function () {
+      var Account;
+      var account;
+
+      beforeEach(function () {
+        Account = Person.extend({
+          readOnlyAttributes: {value: ['createdAt']},
+          writeOnlyAttributes: {value: ['password']},
+          transientAttributes: {value: ['selected']}
+        });
+        account = new Account({id: 1, name: 'Eugene', createdAt: '2015-10-05', password: 'secret', selected: true});
+      });
+
+      it('filters attributes of toJSON', function () {
+        expect(account.toJSON()).toEqual({id: 1, name: 'Eugene', createdAt: '2015-10-05'});
+        expect(account.toJSON({only: ['id', 'name', 'password']})).toEqual({id: 1, name: 'Eugene'});
+        expect(account.toJSON({except: ['createdAt']})).toEqual({id: 1, name: 'Eugene'});
+        expect(account.toPayload()).toEqual({id: 1, name: 'Eugene', password: 'secret'});
+      });
+
+      it('leaves relations out of toJSON on request', function () {
+        var Post = Person.extend({
+          relations: {value: {author: {type: 'belongsTo', model: Person, foreignKey: 'authorId'}}}
+        });
+        var post = new Post({id: 1, title: 'Hello', author: {id: 7}});
+        expect(post.toJSON({includeRelations: false})).toEqual({id: 1, title: 'Hello', authorId: 7});
+      });
+
+      it('sends a payload to the server', function () {
+        $httpBackend.expectPUT('/persons/1', {id: 1, name: 'Eugene', password: 'secret'}).respond({});
+        account.save();
+        $httpBackend.flush();
+
+        $httpBackend.expectPATCH('/persons/1', {name: 'Oshri'}).respond({});
+        account.$set({createdAt: '2015-10-06', selected: false});
+        account.save({name: 'Oshri'}, {patch: true});
+        $httpBackend.flush();
+      });
+    });
+
     describe('query params', function() {
 
       it('over the fetch function', function () {
@@ -0,0 +1,166 @@
+describe('BasePaginatedCollectionClass', function () {
+  'use strict';
+  var $httpBackend;
+  var $rootScope;
+  var BaseModelClass;
+  var BaseCollectionClass;
+  var BasePaginatedCollectionClass;
+  var Person;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_$httpBackend_, _$rootScope_, _BaseModelClass_, _BaseCollectionClass_, _BasePaginatedCollectionClass_) {
+    $httpBackend = _$httpBackend_;
+    $rootScope = _$rootScope_;
+    BaseModelClass = _BaseModelClass_;
+    BaseCollectionClass = _BaseCollectionClass_;
+    BasePaginatedCollectionClass = _BasePaginatedCollectionClass_;
+
+    Person = BaseModelClass.extend({});
+  }));
+
+  function define(proto) {
+    return BasePaginatedCollectionClass.extend(angular.extend({
+      model: {value: Person},
+      url: {value: '/persons'},
+      pageSize: {value: 2, writable: true}
+    }, proto));
+  }
+
+  it('should be inherited from BaseCollectionClass', function () {
+    var Persons = define({});
+    expect(new Persons() instanceof BaseCollectionClass).toBeTruthy();
+  });
+
+  describe('page mode', function () {
+    var persons;
+
+    beforeEach(function () {
+      var Persons = define({});
+      persons = new Persons();
+    });
+
+    it('fetches pages by a page number', function () {
+      $httpBackend.expectGET('/persons?page=1&per_page=2')
+        .respond([{id: 1}, {id: 2}], {'X-Total-Count': '5'});
+      persons.fetch();
+      $httpBackend.flush();
+
+      expect(persons.length).toEqual(2);
+      expect(persons.totalCount()).toEqual(5);
+      expect(persons.totalPages()).toEqual(3);
+      expect(persons.hasMore()).toBe(true);
+      expect(persons.hasPrevious()).toBe(false);
+
+      $httpBackend.expectGET('/persons?page=3&per_page=2').respond([{id: 5}], {'X-Total-Count': '5'});
+      persons.goToPage(3);
+      $httpBackend.flush();
+
+      expect(persons.map(function (m) { return m.id; })).toEqual([5]);
+      expect(persons.hasMore()).toBe(false);
+
+      $httpBackend.expectGET('/persons?page=2&per_page=2').respond([{id: 3}, {id: 4}]);
+      persons.prevPage();
+      $httpBackend.flush();
+      expect(persons.first().id).toEqual(3);
+    });
+
+    it('guesses there are more pages by a page length', function () {
+      $httpBackend.expectGET('/persons?page=1&per_page=2').respond([{id: 1}, {id: 2}]);
+      persons.fetch();
+      $httpBackend.flush();
+      expect(persons.totalCount()).toBeNull();
+      expect(persons.hasMore()).toBe(true);
+    });
+
+    it('rejects going before the first page', function () {
+      var spy = jasmine.createSpy('rejected');
+      persons.prevPage().catch(spy);
+      $rootScope.$digest();
+      expect(spy).toHaveBeenCalled();
+    });
+  });
+
+  it('supports offset mode with custom parameter names', function () {
+    var Persons = define({
+      paginationMode: {value: 'offset'},
+      pageParams: {value: {offset: 'skip', limit: 'take'}}
+    });
+    var persons = new Persons();
+
+    $httpBackend.expectGET('/persons?skip=0&take=2').respond([{id: 1}, {id: 2}]);
+    persons.fetch();
+    $httpBackend.flush();
+
+    $httpBackend.expectGET('/persons?skip=2&take=2').respond([{id: 3}]);
+    persons.nextPage();
+    $httpBackend.flush();
+
+    expect(persons.length).toEqual(1);
+    expect(persons.hasMore()).toBe(false);
+    expect(persons.hasPrevious()).toBe(true);
+  });
+
+  it('supports cursor mode with page info in the response body', function () {
+    var Persons = define({
+      paginationMode: {value: 'cursor'},
+      parse: {value: 'items'},
+      parsePageInfo: {
+        value: function (response) {
+          return {nextCursor: response.next, totalCount: response.total};
+        }
+      }
+    });
+    var persons = new Persons();
+
+    $httpBackend.expectGET('/persons?per_page=2').respond({items: [{id: 1}, {id: 2}], next: 'abc', total: 3});
+    persons.fetch();
+    $httpBackend.flush();
+    expect(persons.hasMore()).toBe(true);
+    expect(persons.totalCount()).toEqual(3);
+
+    $httpBackend.expectGET('/persons?cursor=abc&per_page=2').respond({items: [{id: 3}], next: null, total: 3});
+    persons.nextPage();
+    $httpBackend.flush();
+    expect(persons.hasMore()).toBe(false);
+    expect(persons.first().id).toEqual(3);
+  });
+
+  it('supports link mode', function () {
+    var Persons = define({paginationMode: {value: 'link'}});
+    var persons = new Persons();
+    var link = '</persons?page=2>; rel="next", </persons?page=3>; rel="last"';
+
+    $httpBackend.expectGET('/persons?per_page=2').respond([{id: 1}, {id: 2}], {'Link': link});
+    persons.fetch();
+    $httpBackend.flush();
+    expect(persons.pageInfo.links.last).toEqual('/persons?page=3');
+    expect(persons.hasMore()).toBe(true);
+
+    $httpBackend.expectGET('/persons?page=2').respond([{id: 3}], {'Link': '</persons?page=1>; rel="prev first"'});
+    persons.nextPage();
+    $httpBackend.flush();
+    expect(persons.hasMore()).toBe(false);
+    expect(persons.hasPrevious()).toBe(true);
+    expect(persons.pageInfo.links.first).toEqual('/persons?page=1');
+  });
+
+  it('appends pages in the append mode', function () {
+    var Persons = define({});
+    var persons = new Persons(null, {append: true});
+    var pageSpy = jasmine.createSpy('page');
+    persons.on('page', pageSpy);
+
+    $httpBackend.expectGET('/persons?page=1&per_page=2').respond([{id: 1}, {id: 2}]);
+    persons.fetch();
+    $httpBackend.flush();
+
+    $httpBackend.expectGET('/persons?page=2&per_page=2').respond([{id: 2, name: 'Eugene'}, {id: 3}]);
+    persons.nextPage();
+    $httpBackend.flush();
+
+    expect(persons.length).toEqual(3);
+    expect(persons.get(2).$get('name')).toEqual('Eugene');
+    expect(pageSpy.calls.count()).toEqual(2);
+  });
+});
@@ -66,4 +66,378 @@ describe('BaseSyncClass', function () {
 
     expect(model.$get('name')).toEqual('iPhone');
   });
+
+  describe('retry', function () {
+    var $timeout;
+    var Report;
+
+    beforeEach(inject(function (_$timeout_) {
+      $timeout = _$timeout_;
+      Report = BaseModelClass.extend({
+        urlRoot: {value: '/reports'},
+        retry: {value: {maxAttempts: 3, delay: 100, jitter: 0}}
+      });
+    }));
+
+    it('retries transient errors with an exponential backoff', function () {
+      var report = new Report({id: 1});
+      var retrySpy = jasmine.createSpy('retry');
+      var resolved = jasmine.createSpy('resolved');
+      report.on('retry', retrySpy);
+
+      $httpBackend.expectGET('/reports/1').respond(503, '');
+      report.fetch().then(resolved);
+      $httpBackend.flush();
+      expect(retrySpy.calls.mostRecent().args[1]).toEqual({attempt: 2, maxAttempts: 3, delay: 100, status: 503});
+
+      $httpBackend.expectGET('/reports/1').respond(0, '');
+      $timeout.flush(100);
+      $httpBackend.flush();
+      expect(retrySpy.calls.mostRecent().args[1].delay).toEqual(200);
+
+      $httpBackend.expectGET('/reports/1').respond({id: 1, title: 'Sales'});
+      $timeout.flush(200);
+      $httpBackend.flush();
+      expect(resolved).toHaveBeenCalled();
+      expect(report.$get('title')).toEqual('Sales');
+    });
+
+    it('rejects once attempts are exhausted', function () {
+      var report = new Report({id: 1});
+      var rejected = jasmine.createSpy('rejected');
+
+      $httpBackend.whenGET('/reports/1').respond(502, '');
+      report.fetch().catch(rejected);
+      $httpBackend.flush();
+      $timeout.flush();
+      $httpBackend.flush();
+      $timeout.flush();
+      $httpBackend.flush();
+
+      expect(rejected).toHaveBeenCalled();
+      $timeout.flush();
+      $httpBackend.verifyNoOutstandingRequest();
+    });
+
+    it('does not retry non idempotent methods or other statuses', function () {
+      var rejected = jasmine.createSpy('rejected');
+
+      $httpBackend.expectPOST('/reports').respond(503, '');
+      new Report().save().catch(rejected);
+      $httpBackend.expectGET('/reports/1').respond(404, '');
+      new Report({id: 1}).fetch().catch(rejected);
+      $httpBackend.flush();
+
+      expect(rejected.calls.count()).toEqual(2);
+      $timeout.flush();
+      $httpBackend.verifyNoOutstandingRequest();
+    });
+
+    it('honours a Retry-After header and a per call policy', function () {
+      var report = new Report({id: 1});
+      var retrySpy = jasmine.createSpy('retry');
+      var rejected = jasmine.createSpy('rejected');
+      report.on('retry', retrySpy);
+
+      $httpBackend.expectGET('/reports/1').respond(429, '', {'Retry-After': '2'});
+      report.fetch();
+      $httpBackend.flush();
+      expect(retrySpy.calls.mostRecent().args[1].delay).toEqual(2000);
+      $httpBackend.expectGET('/reports/1').respond({id: 1});
+      $timeout.flush(2000);
+      $httpBackend.flush();
+
+      $httpBackend.expectGET('/reports/1').respond(503, '');
+      report.fetch({retry: false}).catch(rejected);
+      $httpBackend.flush();
+      expect(rejected).toHaveBeenCalled();
+      expect(retrySpy.calls.count()).toEqual(1);
+    });
+
+    it('limits a Retry-After delay by maxDelay', function () {
+      var report = new Report({id: 1});
+      var retrySpy = jasmine.createSpy('retry');
+      report.on('retry', retrySpy);
+
+      $httpBackend.expectGET('/reports/1').respond(503, '', {'Retry-After': '3600'});
+      report.fetch({retry: {maxAttempts: 2, maxDelay: 5000}});
+      $httpBackend.flush();
+      expect(retrySpy.calls.mostRecent().args[1].delay).toEqual(5000);
+
+      $httpBackend.expectGET('/reports/1').respond({id: 1});
+      $timeout.flush(5000);
+      $httpBackend.flush();
+    });
+  });
+
+  describe('abort', function () {
+    var BaseCollectionClass;
+    var CancellationExceptionClass;
+    var Persons;
+
+    beforeEach(inject(function (_BaseCollectionClass_, _CancellationExceptionClass_) {
+      BaseCollectionClass = _BaseCollectionClass_;
+      CancellationExceptionClass = _CancellationExceptionClass_;
+      Persons = BaseCollectionClass.extend({
+        model: {value: BaseModelClass.extend({})},
+        url: {value: '/persons'}
+      });
+    }));
+
+    it('aborts pending requests with a cancellation error', function () {
+      var persons = new Persons();
+      var errorSpy = jasmine.createSpy('error');
+      var abortSpy = jasmine.createSpy('abort');
+      var rejected = jasmine.createSpy('rejected');
+      persons.on('error', errorSpy);
+      persons.on('abort', abortSpy);
+
+      $httpBackend.expectGET('/persons').respond([{id: 1}]);
+      persons.fetch().catch(rejected);
+      $httpBackend.verifyNoOutstandingExpectation();
+      persons.abort();
+      $httpBackend.verifyNoOutstandingExpectation();
+      $httpBackend.verifyNoOutstandingRequest();
+
+      expect(rejected.calls.mostRecent().args[0] instanceof CancellationExceptionClass).toBe(true);
+      expect(abortSpy).toHaveBeenCalled();
+      expect(errorSpy).not.toHaveBeenCalled();
+      expect(persons.length).toEqual(0);
+    });
+
+    it('returns a cancellable handle', function () {
+      var model = new BaseModelClass({id: 1});
+      var rejected = jasmine.createSpy('rejected');
+
+      $httpBackend.expectGET('/models/1').respond({id: 1});
+      var handle = model.sync('read', model, {url: '/models/1'});
+      handle.catch(rejected);
+      handle.abort();
+      $httpBackend.verifyNoOutstandingExpectation();
+
+      expect(rejected.calls.mostRecent().args[0] instanceof CancellationExceptionClass).toBe(true);
+    });
+
+    it('keeps only the latest read in the latestOnly mode', function () {
+      var persons = new Persons();
+      var first = jasmine.createSpy('first');
+
+      $httpBackend.expectGET('/persons?q=eu').respond([{id: 1}, {id: 2}]);
+      $httpBackend.expectGET('/persons?q=eug').respond([{id: 1}]);
+      persons.fetch({params: {q: 'eu'}}).catch(first);
+      persons.fetch({params: {q: 'eug'}, latestOnly: true});
+      $httpBackend.flush();
+
+      expect(first.calls.mostRecent().args[0] instanceof CancellationExceptionClass).toBe(true);
+      expect(persons.length).toEqual(1);
+    });
+  });
+
+  describe('dedupe', function () {
+    var Person;
+
+    beforeEach(function () {
+      Person = BaseModelClass.extend({urlRoot: {value: '/persons'}, dedupe: {value: true}});
+    });
+
+    it('sends every read unless asked to share it', function () {
+      var Plain = BaseModelClass.extend({urlRoot: {value: '/persons'}});
+
+      $httpBackend.expectGET('/persons/1').respond({id: 1});
+      $httpBackend.expectGET('/persons/1').respond({id: 1});
+      $httpBackend.expectGET('/persons/1').respond({id: 1});
+      new Plain({id: 1}).fetch();
+      new Plain({id: 1}).fetch();
+      new Plain({id: 1}).fetch({dedupe: true});
+      new Plain({id: 1}).fetch({dedupe: true});
+      $httpBackend.flush();
+      $httpBackend.verifyNoOutstandingExpectation();
+    });
+
+    it('shares identical reads which are in flight', function () {
+      var first = new Person({id: 1});
+      var second = new Person({id: 1});
+
+      $httpBackend.expectGET('/persons/1').respond({id: 1, tags: ['admin']});
+      first.fetch();
+      second.fetch();
+      $httpBackend.flush();
+      $httpBackend.verifyNoOutstandingExpectation();
+
+      expect(first.$get('tags')).toEqual(['admin']);
+      expect(second.$get('tags')).toEqual(['admin']);
+      expect(first.$get('tags')).not.toBe(second.$get('tags'));
+    });
+
+    it('sends separate requests for different params or on demand', function () {
+      $httpBackend.expectGET('/persons/1?full=1').respond({id: 1});
+      $httpBackend.expectGET('/persons/1').respond({id: 1});
+      $httpBackend.expectGET('/persons/1').respond({id: 1});
+      new Person({id: 1}).fetch({params: {full: 1}});
+      new Person({id: 1}).fetch();
+      new Person({id: 1}).fetch({dedupe: false});
+      $httpBackend.flush();
+    });
+
+    it('keeps a shared read while another caller waits for it', function () {
+      var first = new Person({id: 1});
+      var second = new Person({id: 1});
+
+      $httpBackend.expectGET('/persons/1').respond({id: 1, name: 'Eugene'});
+      first.fetch();
+      second.fetch();
+      first.abort();
+      $httpBackend.flush();
+
+      expect(first.$get('name')).toBeUndefined();
+      expect(second.$get('name')).toEqual('Eugene');
+    });
+  });
+
+  describe('conditional requests', function () {
+    var ConflictExceptionClass;
+    var Person;
+
+    beforeEach(inject(function (_ConflictExceptionClass_) {
+      ConflictExceptionClass = _ConflictExceptionClass_;
+      Person = BaseModelClass.extend({urlRoot: {value: '/persons'}, conditional: {value: true}});
+    }));
+
+    it('are off by default', function () {
+      var Plain = BaseModelClass.extend({urlRoot: {value: '/persons'}});
+      var person = new Plain({id: 1});
+      person.etag = '"v1"';
+      $httpBackend.expectGET('/persons/1', function (headers) {
+        return !headers['If-None-Match'];
+      }).respond({id: 1});
+      person.fetch();
+      $httpBackend.flush();
+    });
+
+    it('revalidates a fetched model by its ETag', function () {
+      var person = new Person({id: 1});
+      var changeSpy = jasmine.createSpy('change');
+      var resolved = jasmine.createSpy('resolved');
+
+      $httpBackend.expectGET('/persons/1').respond({id: 1, name: 'Eugene'}, {'ETag': '"v1"'});
+      person.fetch();
+      $httpBackend.flush();
+      expect(person.etag).toEqual('"v1"');
+
+      person.on('change', changeSpy);
+      $httpBackend.expectGET('/persons/1', function (headers) {
+        return headers['If-None-Match'] === '"v1"';
+      }).respond(304, '');
+      person.fetch().then(resolved);
+      $httpBackend.flush();
+
+      expect(resolved).toHaveBeenCalledWith(person);
+      expect(changeSpy).not.toHaveBeenCalled();
+      expect(person.$get('name')).toEqual('Eugene');
+    });
+
+    it('reads a model with local changes in full', function () {
+      var person = new Person({id: 1});
+
+      $httpBackend.expectGET('/persons/1').respond({id: 1, name: 'Eugene'}, {'ETag': '"v1"'});
+      person.fetch();
+      $httpBackend.flush();
+
+      person.$set('name', 'local edit');
+      $httpBackend.expectGET('/persons/1', function (headers) {
+        return !headers['If-None-Match'];
+      }).respond({id: 1, name: 'Eugene'}, {'ETag': '"v1"'});
+      person.fetch();
+      $httpBackend.flush();
+
+      expect(person.$get('name')).toEqual('Eugene');
+      expect(person.isDirty()).toBe(false);
+    });
+
+    it('reads a new search in full', inject(function (BaseCollectionClass) {
+      var Persons = BaseCollectionClass.extend({model: {value: Person}, url: {value: '/persons'}, conditional: {value: true}});
+      var persons = new Persons();
+
+      $httpBackend.expectGET('/persons?q=eu').respond([{id: 1}], {'ETag': '"v1"'});
+      persons.fetch({params: {q: 'eu'}});
+      $httpBackend.flush();
+
+      $httpBackend.expectGET('/persons?q=eug', function (headers) {
+        return !headers['If-None-Match'];
+      }).respond([{id: 2}], {'ETag': '"v2"'});
+      persons.fetch({params: {q: 'eug'}});
+      $httpBackend.flush();
+      expect(persons.first().id).toEqual(2);
+
+      $httpBackend.expectGET('/persons?q=eug', function (headers) {
+        return headers['If-None-Match'] === '"v2"';
+      }).respond(304, '');
+      persons.fetch({params: {q: 'eug'}});
+      $httpBackend.flush();
+    }));
+
+    it('reads another page in full', inject(function (BasePaginatedCollectionClass) {
+      var Persons = BasePaginatedCollectionClass.extend({
+        model: {value: Person},
+        url: {value: '/persons'},
+        pageSize: {value: 2},
+        conditional: {value: true}
+      });
+      var persons = new Persons();
+
+      $httpBackend.expectGET('/persons?page=1&per_page=2').respond([{id: 1}, {id: 2}], {'ETag': '"p1"'});
+      persons.fetch();
+      $httpBackend.flush();
+
+      $httpBackend.expectGET('/persons?page=2&per_page=2', function (headers) {
+        return !headers['If-None-Match'];
+      }).respond([{id: 3}], {'ETag': '"p2"'});
+      persons.nextPage();
+      $httpBackend.flush();
+      expect(persons.first().id).toEqual(3);
+    }));
+
+    it('saves on condition of the last known version', function () {
+      var person = new Person({id: 1});
+      var rejected = jasmine.createSpy('rejected');
+
+      $httpBackend.expectGET('/persons/1').respond({id: 1}, {'Last-Modified': 'Mon, 05 Oct 2015 10:00:00 GMT'});
+      person.fetch();
+      $httpBackend.flush();
+
+      $httpBackend.expectPUT('/persons/1', undefined, function (headers) {
+        return headers['If-Unmodified-Since'] === 'Mon, 05 Oct 2015 10:00:00 GMT';
+      }).respond(412, {id: 1, name: 'Oshri'}, {'ETag': '"v2"'});
+      person.save({name: 'Eugene'}, {}).catch(rejected);
+      $httpBackend.flush();
+
+      var error = rejected.calls.mostRecent().args[0];
+      expect(error instanceof ConflictExceptionClass).toBe(true);
+      expect(error.version.etag).toEqual('"v2"');
+      expect(error.data).toEqual({id: 1, name: 'Oshri'});
+    });
+
+    it('does not change headers given by a caller', function () {
+      var person = new Person({id: 1});
+      var headers = {'X-Client': 'web'};
+      person.etag = '"v1"';
+      $httpBackend.expectGET('/persons/1', function (sent) {
+        return sent['If-None-Match'] === '"v1"' && sent['X-Client'] === 'web';
+      }).respond({id: 1});
+      person.fetch({headers: headers});
+      $httpBackend.flush();
+      expect(headers).toEqual({'X-Client': 'web'});
+    });
+
+    it('can be turned off', function () {
+      var person = new Person({id: 1});
+      person.etag = '"v1"';
+      $httpBackend.expectDELETE('/persons/1', function (headers) {
+        return !headers['If-Match'];
+      }).respond(204, '');
+      person.destroy({conditional: false});
+      $httpBackend.flush();
+      expect(person.etag).toBeNull();
+    });
+  });
 });
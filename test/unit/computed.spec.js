@@ -0,0 +1,96 @@
+describe('Computed attributes', function () {
+  'use strict';
+  var BaseModelClass;
+  var BaseCollectionClass;
+  var Person;
+  var fullName;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_BaseModelClass_, _BaseCollectionClass_) {
+    BaseModelClass = _BaseModelClass_;
+    BaseCollectionClass = _BaseCollectionClass_;
+    fullName = jasmine.createSpy('fullName').and.callFake(function (firstName, lastName) {
+      return [firstName, lastName].filter(Boolean).join(' ');
+    });
+    Person = BaseModelClass.extend({
+      computed: {
+        value: {
+          fullName: {deps: ['firstName', 'lastName'], get: fullName, serialize: true},
+          initials: {deps: ['fullName'], get: function (name) {
+            return name.split(' ').map(function (part) { return part.charAt(0); }).join('');
+          }}
+        }
+      }
+    });
+  }));
+
+  it('computes and caches values', function () {
+    var person = new Person({firstName: 'Eugene', lastName: 'Brodsky'});
+    fullName.calls.reset();
+
+    expect(person.$get('fullName')).toEqual('Eugene Brodsky');
+    expect(person.$get('initials')).toEqual('EB');
+    expect(person.has('fullName')).toBe(true);
+    expect(fullName.calls.count()).toBeLessThan(2);
+
+    person.$set('age', 30);
+    person.$get('fullName');
+    expect(fullName.calls.count()).toBeLessThan(2);
+  });
+
+  it('fires change events of computed attributes', function () {
+    var person = new Person({firstName: 'Eugene', lastName: 'Brodsky'});
+    var fullNameSpy = jasmine.createSpy('change:fullName');
+    var initialsSpy = jasmine.createSpy('change:initials');
+    person.on('change:fullName', fullNameSpy);
+    person.on('change:initials', initialsSpy);
+
+    person.$set('lastName', 'Bond');
+    expect(fullNameSpy).toHaveBeenCalledWith(person, 'Eugene Bond', jasmine.any(Object));
+    expect(initialsSpy).not.toHaveBeenCalled();
+    expect(person.hasChanged('fullName')).toBe(true);
+    expect(person.hasChanged('initials')).toBe(true);
+
+    person.$set('firstName', 'Oshri');
+    expect(initialsSpy).toHaveBeenCalledWith(person, 'OB', jasmine.any(Object));
+    expect(person.$get('fullName')).toEqual('Oshri Bond');
+  });
+
+  it('is optionally serialized', function () {
+    var person = new Person({firstName: 'Eugene'});
+    expect(person.toJSON()).toEqual({firstName: 'Eugene', fullName: 'Eugene'});
+    expect(person.toJSON({computed: false})).toEqual({firstName: 'Eugene'});
+    expect(person.toJSON({computed: true}).initials).toEqual('E');
+  });
+
+  it('can be used by where', function () {
+    var Persons = BaseCollectionClass.extend({
+      model: {value: Person}
+    });
+    var persons = new Persons([
+      {id: 1, firstName: 'Oshri', lastName: 'Bond'},
+      {id: 2, firstName: 'Eugene', lastName: 'Brodsky'}
+    ]);
+
+    expect(persons.findWhere({fullName: 'Oshri Bond'}).id).toEqual(1);
+    expect(persons.where({initials: 'EB'}).length).toEqual(1);
+  });
+
+  it('can be used by string comparators', function () {
+    var Persons = BaseCollectionClass.extend({
+      model: {value: Person},
+      comparator: {value: 'fullName', writable: true}
+    });
+    var persons = new Persons([
+      {id: 1, firstName: 'Oshri', lastName: 'Bond'},
+      {id: 2, firstName: 'Eugene', lastName: 'Brodsky'}
+    ]);
+
+    expect(persons.pluck('id')).toEqual([2, 1]);
+
+    persons.get(2).$set('firstName', 'Yuri');
+    persons.sort();
+    expect(persons.pluck('id')).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,123 @@
+describe('Conflict resolution', function () {
+  'use strict';
+  var $httpBackend;
+  var BaseModelClass;
+  var ConflictExceptionClass;
+  var Document;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_$httpBackend_, _BaseModelClass_, _ConflictExceptionClass_) {
+    $httpBackend = _$httpBackend_;
+    BaseModelClass = _BaseModelClass_;
+    ConflictExceptionClass = _ConflictExceptionClass_;
+
+    Document = BaseModelClass.extend({
+      urlRoot: {value: '/documents'},
+      versionAttribute: {value: 'version'}
+    });
+  }));
+
+  function edited(strategy) {
+    var doc = new Document({id: 1, version: 1, title: 'Draft', body: 'Text', tags: ['a']});
+    doc.conflictStrategy = strategy;
+    doc.$set({title: 'Mine', tags: ['a', 'b']});
+    return doc;
+  }
+
+  var server = {id: 1, version: 2, title: 'Draft', body: 'Their text', tags: ['a']};
+
+  it('rejects with a conflict exception without a strategy', function () {
+    var doc = edited(null);
+    var rejected = jasmine.createSpy('rejected');
+
+    $httpBackend.expectPUT('/documents/1').respond(409, server);
+    doc.save().catch(rejected);
+    $httpBackend.flush();
+
+    expect(rejected.calls.mostRecent().args[0] instanceof ConflictExceptionClass).toBe(true);
+    expect(doc.$get('title')).toEqual('Mine');
+  });
+
+  it('drops local changes when the server wins', function () {
+    var doc = edited('server-wins');
+    var conflictSpy = jasmine.createSpy('conflict');
+    var resolved = jasmine.createSpy('resolved');
+    doc.on('conflict', conflictSpy);
+
+    $httpBackend.expectPUT('/documents/1').respond(409, server);
+    doc.save().then(resolved);
+    $httpBackend.flush();
+
+    expect(resolved).toHaveBeenCalledWith(doc);
+    expect(doc.toJSON()).toEqual(server);
+    expect(doc.isDirty()).toBe(false);
+    expect(conflictSpy.calls.mostRecent().args[3].strategy).toEqual('server-wins');
+  });
+
+  it('saves local changes again when the client wins', function () {
+    var doc = edited('client-wins');
+
+    $httpBackend.expectPUT('/documents/1').respond(409, server);
+    $httpBackend.expectPUT('/documents/1', {id: 1, version: 2, title: 'Mine', body: 'Text', tags: ['a', 'b']})
+      .respond({id: 1, version: 3, title: 'Mine', body: 'Text', tags: ['a', 'b']});
+    doc.save();
+    $httpBackend.flush();
+
+    expect(doc.$get('version')).toEqual(3);
+  });
+
+  it('merges changes made on both sides', function () {
+    var doc = edited('merge');
+
+    $httpBackend.expectPUT('/documents/1').respond(409, server);
+    $httpBackend.expectPUT('/documents/1', {id: 1, version: 2, title: 'Mine', body: 'Their text', tags: ['a', 'b']})
+      .respond({id: 1, version: 3, title: 'Mine', body: 'Their text', tags: ['a', 'b']});
+    doc.save();
+    $httpBackend.flush();
+
+    expect(doc.conflicts).toBeNull();
+    expect(doc.isDirty()).toBe(false);
+  });
+
+  it('exposes fields which can not be merged', function () {
+    var doc = edited('merge');
+    var rejected = jasmine.createSpy('rejected');
+
+    $httpBackend.expectPUT('/documents/1').respond(409, angular.extend({}, server, {title: 'Theirs'}));
+    doc.save().catch(rejected);
+    $httpBackend.flush();
+
+    expect(doc.conflicts).toEqual({title: {base: 'Draft', local: 'Mine', server: 'Theirs'}});
+    expect(rejected.calls.mostRecent().args[0].conflicts).toEqual(doc.conflicts);
+    expect(doc.$get('title')).toEqual('Mine');
+    expect(doc.$get('version')).toEqual(2);
+    expect(doc.dirtyAttributes()).toEqual({title: 'Mine', tags: ['a', 'b']});
+
+    $httpBackend.expectPUT('/documents/1').respond({id: 1, version: 3, title: 'Mine', body: 'Their text', tags: ['a', 'b']});
+    doc.save();
+    $httpBackend.flush();
+    expect(doc.conflicts).toBeNull();
+  });
+
+  it('fetches the server version and asks a custom resolver', function () {
+    var doc = new Document({id: 1, title: 'Draft'});
+    var resolver = jasmine.createSpy('resolver').and.callFake(function (local, server) {
+      return angular.extend({}, server, {title: local.title + ' & ' + server.title});
+    });
+    doc.conditional = true;
+    doc.etag = '"v1"';
+    doc.$set('title', 'Mine');
+
+    $httpBackend.expectPUT('/documents/1').respond(412, '');
+    $httpBackend.expectGET('/documents/1').respond({id: 1, title: 'Theirs'}, {'ETag': '"v2"'});
+    $httpBackend.expectPUT('/documents/1', {id: 1, title: 'Mine & Theirs'}, function (headers) {
+      return headers['If-Match'] === '"v2"';
+    }).respond({id: 1, title: 'Mine & Theirs'});
+    doc.save(null, {conflictStrategy: resolver});
+    $httpBackend.flush();
+
+    expect(resolver).toHaveBeenCalledWith({id: 1, title: 'Mine'}, {id: 1, title: 'Theirs'}, {id: 1, title: 'Draft'}, doc);
+    expect(doc.$get('title')).toEqual('Mine & Theirs');
+  });
+});
@@ -0,0 +1,76 @@
+describe('Deep paths', function () {
+  'use strict';
+  var $httpBackend;
+  var Person;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_$httpBackend_, BaseModelClass) {
+    $httpBackend = _$httpBackend_;
+    Person = BaseModelClass.extend({urlRoot: {value: '/persons'}});
+  }));
+
+  it('sets values at dotted and bracket paths', function () {
+    var address = {city: 'Tel Aviv', street: 'Dizengoff'};
+    var person = new Person({address: address, phones: []});
+
+    person.$set('address.city', 'Oslo');
+    person.$set('phones[0].number', '555');
+    person.$set({'contacts.email': 'eugene@example.com'});
+
+    expect(person.attributes.address).toEqual({city: 'Oslo', street: 'Dizengoff'});
+    expect(address.city).toEqual('Tel Aviv');
+    expect(person.$get('phones[0].number')).toEqual('555');
+    expect(person.$get('contacts')).toEqual({email: 'eugene@example.com'});
+    expect(person.has('contacts.email')).toBe(true);
+    expect(person.attributes.hasOwnProperty('address.city')).toBe(false);
+  });
+
+  it('unsets values at paths', function () {
+    var person = new Person({name: 'Eugene', address: {city: 'Oslo', street: 'Karl Johans gate'}});
+
+    person.unset('address.street');
+    expect(person.attributes.address).toEqual({city: 'Oslo'});
+    expect(person.has('address.street')).toBe(false);
+    expect(person.$get('name')).toEqual('Eugene');
+  });
+
+  it('fires granular change events which bubble', function () {
+    var person = new Person({address: {city: 'Oslo', geo: {lat: 1, lng: 2}}});
+    var events = [];
+    person.on('all', function (event) {
+      if (event.indexOf('change') === 0) {
+        events.push(event);
+      }
+    });
+
+    person.$set({'address.geo.lat': 5, 'address.geo.lng': 2});
+    expect(events).toEqual(['change:address.geo.lat', 'change:address.geo', 'change:address', 'change']);
+  });
+
+  it('tracks changes and previous values of paths', function () {
+    var person = new Person({address: {city: 'Oslo', zip: '0150'}});
+
+    person.$set('address.city', 'Bergen');
+    expect(person.hasChanged('address.city')).toBe(true);
+    expect(person.hasChanged('address.zip')).toBe(false);
+    expect(person.hasChanged('address')).toBe(true);
+    expect(person.previous('address.city')).toEqual('Oslo');
+    expect(person.changedAttributes({'address.city': 'Bergen', 'address.zip': '5003'})).toEqual({'address.zip': '5003'});
+  });
+
+  it('keeps dotted keys of server data as they are', function () {
+    var person = new Person({id: 1});
+
+    $httpBackend.expectGET('/persons/1').respond({id: 1, '@odata.etag': 'W/1'});
+    person.fetch();
+    $httpBackend.flush();
+    expect(person.toJSON()).toEqual({id: 1, '@odata.etag': 'W/1'});
+
+    $httpBackend.expectPUT('/persons/1').respond({id: 1, '@odata.etag': 'W/2'});
+    person.save();
+    $httpBackend.flush();
+    expect(person.toJSON()).toEqual({id: 1, '@odata.etag': 'W/2'});
+    expect(new Person({'@odata.etag': 'W/3'}, {parse: true}).toJSON()).toEqual({'@odata.etag': 'W/3'});
+  });
+});
@@ -0,0 +1,103 @@
+describe('Dirty tracking', function () {
+  'use strict';
+  var $httpBackend;
+  var BaseModelClass;
+  var BaseCollectionClass;
+  var Person, Persons;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_$httpBackend_, _BaseModelClass_, _BaseCollectionClass_) {
+    $httpBackend = _$httpBackend_;
+    BaseModelClass = _BaseModelClass_;
+    BaseCollectionClass = _BaseCollectionClass_;
+
+    Person = BaseModelClass.extend({
+      urlRoot: {value: '/persons'}
+    });
+    Persons = BaseCollectionClass.extend({
+      model: {value: Person},
+      url: {value: '/persons'}
+    });
+  }));
+
+  it('is clean after construction', function () {
+    var person = new Person({id: 1, name: 'Eugene'});
+    expect(person.isDirty()).toBe(false);
+    expect(person.dirtyAttributes()).toBe(false);
+  });
+
+  it('compares attributes with the state last returned by the server', function () {
+    $httpBackend.expectGET('/persons/1').respond({id: 1, name: 'Eugene', title: 'Developer'});
+    var person = new Person({id: 1});
+    person.fetch();
+    $httpBackend.flush();
+    expect(person.isDirty()).toBe(false);
+    expect(person.syncedAttributes()).toEqual({id: 1, name: 'Eugene', title: 'Developer'});
+
+    person.$set('name', 'Oshri');
+    person.$set('name', 'Oshri Z.');
+    person.unset('title');
+    expect(person.isDirty()).toBe(true);
+    expect(person.isDirty('name')).toBe(true);
+    expect(person.isDirty('id')).toBe(false);
+    expect(person.dirtyAttributes()).toEqual({name: 'Oshri Z.', title: undefined});
+
+    person.$set('name', 'Eugene');
+    expect(person.dirtyAttributes()).toEqual({title: undefined});
+  });
+
+  it('is clean after save', function () {
+    $httpBackend.expectPUT('/persons/1').respond({id: 1, name: 'Oshri'});
+    var person = new Person({id: 1, name: 'Eugene'});
+    person.$set('name', 'Oshri');
+    person.save();
+    $httpBackend.flush();
+    expect(person.isDirty()).toBe(false);
+  });
+
+  it('rolls back to the state last returned by the server', function () {
+    var person = new Person({id: 1, name: 'Eugene'});
+    var rollbackSpy = jasmine.createSpy('rollback');
+    person.on('rollback', rollbackSpy);
+
+    person.$set({name: 'Oshri', title: 'Developer'});
+    person.rollback();
+
+    expect(person.attributes).toEqual({id: 1, name: 'Eugene'});
+    expect(person.isDirty()).toBe(false);
+    expect(rollbackSpy).toHaveBeenCalledWith(person, {attributes: ['name', 'title']}, {});
+  });
+
+  it('fires a dirty event when the state flips', function () {
+    var person = new Person({id: 1, name: 'Eugene'});
+    var spy = jasmine.createSpy('dirty');
+    person.on('dirty', spy);
+
+    person.$set('name', 'Oshri');
+    person.$set('title', 'Developer');
+    expect(spy.calls.count()).toEqual(1);
+    expect(spy.calls.mostRecent().args[1]).toBe(true);
+
+    person.rollback();
+    expect(spy.calls.count()).toEqual(2);
+    expect(spy.calls.mostRecent().args[1]).toBe(false);
+  });
+
+  it('lists dirty models of a collection', function () {
+    $httpBackend.expectGET('/persons').respond([{id: 1, name: 'Eugene'}, {id: 2, name: 'Oshri'}]);
+    var persons = new Persons();
+    persons.fetch();
+    $httpBackend.flush();
+    expect(persons.isDirty()).toBe(false);
+
+    persons.get(2).$set('name', 'Oshri Z.');
+    expect(persons.dirtyModels()).toEqual([persons.get(2)]);
+    expect(persons.isDirty()).toBe(true);
+
+    $httpBackend.expectGET('/persons').respond([{id: 1, name: 'Eugene'}, {id: 2, name: 'Oshri Z.'}]);
+    persons.fetch();
+    $httpBackend.flush();
+    expect(persons.isDirty()).toBe(false);
+  });
+});
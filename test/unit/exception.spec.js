@@ -15,4 +15,95 @@ describe('Exceptions', function () {
     expect(exception instanceof BaseExceptionClass).toBeTruthy();
     expect(exception.message).toEqual('Error');
   });
+
+  it('are errors with a stack trace', function () {
+    var exception = new ValidationExceptionClass('Error');
+    expect(exception instanceof Error).toBe(true);
+    expect(exception.stack).toBeDefined();
+  });
+
+  describe('HttpError', function () {
+    var HttpError;
+    var $injector;
+
+    beforeEach(inject(function (_HttpError_, _$injector_) {
+      HttpError = _HttpError_;
+      $injector = _$injector_;
+    }));
+
+    it('maps a response status to an exception class', function () {
+      var classes = {
+        401: 'UnauthorizedExceptionClass',
+        403: 'ForbiddenExceptionClass',
+        404: 'NotFoundExceptionClass',
+        409: 'ConflictExceptionClass',
+        412: 'ConflictExceptionClass',
+        422: 'UnprocessableEntityExceptionClass',
+        500: 'ServerErrorExceptionClass',
+        503: 'ServerErrorExceptionClass',
+        0: 'NetworkErrorExceptionClass',
+        418: 'HttpExceptionClass'
+      };
+      angular.forEach(classes, function (name, status) {
+        var error = HttpError({status: Number(status), data: {id: 1}});
+        expect(error instanceof $injector.get(name)).toBe(true);
+        expect(error instanceof $injector.get('HttpExceptionClass')).toBe(true);
+        expect(error.status).toEqual(Number(status));
+        expect(error.data).toEqual({id: 1});
+      });
+      expect(HttpError({status: -1, timedOut: true}) instanceof $injector.get('TimeoutErrorExceptionClass')).toBe(true);
+    });
+  });
+
+  describe('sync rejections', function () {
+    var $httpBackend;
+    var $timeout;
+    var $injector;
+    var Person;
+
+    beforeEach(inject(function (BaseModelClass, _$httpBackend_, _$timeout_, _$injector_) {
+      $httpBackend = _$httpBackend_;
+      $timeout = _$timeout_;
+      $injector = _$injector_;
+      Person = BaseModelClass.extend({urlRoot: {value: '/persons'}});
+    }));
+
+    function rejection(promise) {
+      var rejected = jasmine.createSpy('rejected');
+      promise.catch(rejected);
+      return rejected;
+    }
+
+    it('rejects fetch, save and destroy with http exceptions', function () {
+      $httpBackend.expectGET('/persons/1').respond(404, '');
+      $httpBackend.expectPUT('/persons/2').respond(500, '');
+      $httpBackend.expectDELETE('/persons/3').respond(0, '');
+      var fetched = rejection(new Person({id: 1}).fetch());
+      var saved = rejection(new Person({id: 2}).save({name: 'Eugene'}, {}));
+      var destroyed = rejection(new Person({id: 3}).destroy({retry: false}));
+      $httpBackend.flush();
+
+      expect(fetched.calls.mostRecent().args[0] instanceof $injector.get('NotFoundExceptionClass')).toBe(true);
+      expect(saved.calls.mostRecent().args[0] instanceof $injector.get('ServerErrorExceptionClass')).toBe(true);
+      expect(destroyed.calls.mostRecent().args[0] instanceof $injector.get('NetworkErrorExceptionClass')).toBe(true);
+    });
+
+    it('rejects a request which has timed out', function () {
+      $httpBackend.expectGET('/persons/1').respond({id: 1});
+      var rejected = rejection(new Person({id: 1}).fetch({timeout: 1000}));
+      $timeout.flush(1000);
+      $httpBackend.verifyNoOutstandingExpectation();
+
+      var error = rejected.calls.mostRecent().args[0];
+      expect(error instanceof $injector.get('TimeoutErrorExceptionClass')).toBe(true);
+      expect(error instanceof Error).toBe(true);
+    });
+
+    it('rejects a save without a url', function () {
+      var Draft = Person.extend({url: function () { return ''; }});
+      var rejected = rejection(new Draft().save({name: 'Eugene'}, {}));
+      $timeout.flush();
+      expect(rejected.calls.mostRecent().args[0] instanceof $injector.get('BaseExceptionClass')).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,115 @@
+describe('ModelHistoryClass', function () {
+  'use strict';
+  var BaseModelClass;
+  var Book;
+  var book;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_BaseModelClass_) {
+    BaseModelClass = _BaseModelClass_;
+
+    Book = BaseModelClass.extend({
+      trackHistory: {value: true},
+      historyLimit: {value: 3}
+    });
+    book = new Book({title: 'Untitled book'});
+  }));
+
+  it('does not record anything by default', function () {
+    var model = new BaseModelClass({title: 'Untitled book'});
+    model.$set('title', 'Sherlock Holmes');
+    expect(model.canUndo()).toBe(false);
+    expect(model.undo()).toBe(false);
+  });
+
+  it('does not record changes made at construction time', function () {
+    expect(book.canUndo()).toBe(false);
+  });
+
+  it('undoes and redoes changes', function () {
+    book.$set('title', 'Sherlock Holmes');
+    book.$set('price', 10);
+    expect(book.canUndo()).toBe(true);
+    expect(book.canRedo()).toBe(false);
+
+    expect(book.undo()).toBe(true);
+    expect(book.has('price')).toBe(false);
+    expect(book.undo()).toBe(true);
+    expect(book.$get('title')).toEqual('Untitled book');
+    expect(book.canUndo()).toBe(false);
+
+    expect(book.redo()).toBe(true);
+    expect(book.$get('title')).toEqual('Sherlock Holmes');
+    expect(book.canRedo()).toBe(true);
+    expect(book.redo()).toBe(true);
+    expect(book.$get('price')).toEqual(10);
+  });
+
+  it('undoes unset and clear', function () {
+    book.$set('price', 10);
+    book.unset('title');
+    expect(book.has('title')).toBe(false);
+    book.undo();
+    expect(book.$get('title')).toEqual('Untitled book');
+
+    book.clear();
+    expect(book.attributes).toEqual({});
+    book.undo();
+    expect(book.attributes).toEqual({title: 'Untitled book', price: 10});
+  });
+
+  it('skips silent changes and changes made with {history: false}', function () {
+    book.$set('title', 'Sherlock Holmes', {silent: true});
+    book.$set('price', 10, {history: false});
+    expect(book.canUndo()).toBe(false);
+  });
+
+  it('drops the redo stack when a new change is recorded', function () {
+    book.$set('title', 'Sherlock Holmes');
+    book.undo();
+    book.$set('price', 10);
+    expect(book.canRedo()).toBe(false);
+  });
+
+  it('groups changes of a transaction', function () {
+    book.transaction(function () {
+      this.$set('title', 'Sherlock Holmes');
+      this.$set('title', 'The Hound of the Baskervilles');
+      this.$set('price', 10);
+    });
+    book.undo();
+    expect(book.attributes).toEqual({title: 'Untitled book'});
+    book.redo();
+    expect(book.attributes).toEqual({title: 'The Hound of the Baskervilles', price: 10});
+  });
+
+  it('keeps no more steps than the limit', function () {
+    book.$set('price', 1);
+    book.$set('price', 2);
+    book.$set('price', 3);
+    book.$set('price', 4);
+    book.undo();
+    book.undo();
+    book.undo();
+    expect(book.canUndo()).toBe(false);
+    expect(book.$get('price')).toEqual(1);
+  });
+
+  it('fires events', function () {
+    var undoSpy = jasmine.createSpy('undo');
+    var redoSpy = jasmine.createSpy('redo');
+    var historySpy = jasmine.createSpy('history');
+    var changeSpy = jasmine.createSpy('change:title');
+    book.on({undo: undoSpy, redo: redoSpy, history: historySpy, 'change:title': changeSpy});
+
+    book.$set('title', 'Sherlock Holmes');
+    book.undo();
+    book.redo();
+
+    expect(undoSpy).toHaveBeenCalledWith(book, [jasmine.objectContaining({attr: 'title', from: 'Untitled book'})]);
+    expect(redoSpy).toHaveBeenCalled();
+    expect(historySpy.calls.count()).toEqual(3);
+    expect(changeSpy.calls.count()).toEqual(3);
+  });
+});
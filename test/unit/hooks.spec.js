@@ -0,0 +1,144 @@
+describe('Lifecycle hooks', function () {
+  'use strict';
+  var BaseModelClass;
+  var CancellationExceptionClass;
+  var ModelOutbox;
+  var $httpBackend;
+  var $q;
+  var $rootScope;
+  var calls;
+  var Document;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_BaseModelClass_, _CancellationExceptionClass_, _ModelOutbox_, _$httpBackend_, _$q_, _$rootScope_) {
+    BaseModelClass = _BaseModelClass_;
+    ModelOutbox = _ModelOutbox_;
+    CancellationExceptionClass = _CancellationExceptionClass_;
+    $httpBackend = _$httpBackend_;
+    $q = _$q_;
+    $rootScope = _$rootScope_;
+    calls = [];
+
+    function record(name) {
+      return function () {
+        calls.push(name);
+      };
+    }
+    Document = BaseModelClass.extend({
+      urlRoot: {value: '/documents'},
+      beforeValidate: record('beforeValidate'),
+      beforeSave: record('beforeSave'),
+      afterSave: record('afterSave'),
+      beforeFetch: record('beforeFetch'),
+      afterFetch: record('afterFetch'),
+      beforeDestroy: record('beforeDestroy'),
+      afterDestroy: record('afterDestroy')
+    });
+  }));
+
+  it('run around save, fetch and destroy', function () {
+    var document = new Document({id: 1});
+    var events = [];
+    document.on('all', function (event) {
+      events.push(event);
+    });
+
+    $httpBackend.expectGET('/documents/1').respond({id: 1});
+    $httpBackend.expectPUT('/documents/1').respond({id: 1});
+    $httpBackend.expectDELETE('/documents/1').respond(204, '');
+    document.fetch();
+    document.save();
+    document.destroy();
+    $httpBackend.flush();
+
+    expect(calls).toEqual(['beforeFetch', 'beforeValidate', 'beforeSave', 'beforeDestroy', 'afterFetch', 'afterSave', 'afterDestroy']);
+    expect(events.filter(function (event) {
+      return calls.indexOf(event) !== -1;
+    })).toEqual(calls);
+  });
+
+  it('can delay an operation', function () {
+    var document = new Document({id: 1});
+    var confirmation = $q.defer();
+    document.beforeDestroy = function () {
+      return confirmation.promise;
+    };
+
+    document.destroy();
+    $rootScope.$digest();
+    $httpBackend.verifyNoOutstandingRequest();
+
+    $httpBackend.expectDELETE('/documents/1').respond(204, '');
+    confirmation.resolve(true);
+    $httpBackend.flush();
+  });
+
+  it('can cancel an operation', function () {
+    var document = new Document({id: 1});
+    var rejected = jasmine.createSpy('rejected');
+    document.beforeSave = function () {
+      return $q.when(false);
+    };
+    document.beforeFetch = function () {
+      return false;
+    };
+
+    document.save({title: 'Draft'}, {}).catch(rejected);
+    document.fetch().catch(rejected);
+    $rootScope.$digest();
+
+    $httpBackend.verifyNoOutstandingRequest();
+    expect(rejected.calls.count()).toEqual(2);
+    expect(rejected.calls.argsFor(0)[0] instanceof CancellationExceptionClass).toBe(true);
+    expect(rejected.calls.argsFor(1)[0] instanceof CancellationExceptionClass).toBe(true);
+  });
+
+  it('rejects when an after hook fails', function () {
+    var document = new Document({id: 1});
+    var rejected = jasmine.createSpy('rejected');
+    document.afterSave = function () {
+      return $q.reject('Audit failed');
+    };
+
+    $httpBackend.expectPUT('/documents/1').respond({id: 1});
+    document.save().catch(rejected);
+    $httpBackend.flush();
+    expect(rejected).toHaveBeenCalledWith('Audit failed');
+  });
+
+  it('rejects when a hook throws', function () {
+    var document = new Document({id: 1});
+    var rejected = jasmine.createSpy('rejected');
+    var error = new Error('Audit failed');
+    var fail = function () {
+      throw error;
+    };
+    document.beforeValidate = fail;
+    document.afterFetch = fail;
+    document.beforeDestroy = fail;
+
+    $httpBackend.expectGET('/documents/1').respond({id: 1});
+    document.save().catch(rejected);
+    document.fetch().catch(rejected);
+    document.destroy().catch(rejected);
+    $httpBackend.flush();
+
+    expect(rejected.calls.count()).toEqual(3);
+    expect(rejected.calls.allArgs()).toEqual([[error], [error], [error]]);
+  });
+
+  it('run after a save queued while offline', function () {
+    var document = new Document({id: 1});
+    var resolved = jasmine.createSpy('resolved');
+    spyOn(ModelOutbox, 'isOnline').and.returnValue(false);
+    document.afterSave = jasmine.createSpy('afterSave');
+
+    document.save({title: 'Draft'}, {outbox: true}).then(resolved);
+    $rootScope.$digest();
+
+    expect(document.afterSave).toHaveBeenCalledWith(null, jasmine.objectContaining({queued: true}));
+    expect(resolved).toHaveBeenCalledWith(document);
+    ModelOutbox.discard(document);
+  });
+});
@@ -0,0 +1,184 @@
+describe('ModelOutbox', function () {
+  'use strict';
+  var $httpBackend;
+  var $rootScope;
+  var ModelOutbox;
+  var BaseModelClass;
+  var Note;
+
+  beforeEach(module('angular.models', function (ModelOutboxProvider) {
+    ModelOutboxProvider.setStorageKey('test:outbox');
+  }));
+
+  beforeEach(function () {
+    window.localStorage.removeItem('test:outbox');
+  });
+
+  beforeEach(inject(function (_$httpBackend_, _$rootScope_, _ModelOutbox_, _BaseModelClass_) {
+    $httpBackend = _$httpBackend_;
+    $rootScope = _$rootScope_;
+    ModelOutbox = _ModelOutbox_;
+    BaseModelClass = _BaseModelClass_;
+
+    Note = BaseModelClass.extend({
+      urlRoot: {value: '/notes'},
+      outbox: {value: true}
+    });
+  }));
+
+  function goOffline() {
+    spyOn(ModelOutbox, 'isOnline').and.returnValue(false);
+  }
+
+  function operations() {
+    return ModelOutbox.entries().map(function (entry) {
+      return entry.operation;
+    });
+  }
+
+  it('queues mutations while offline and replays them in order', function () {
+    var note = new Note({text: 'Buy milk'});
+    var other = new Note({id: 7, text: 'Call mom'});
+    var queuedSpy = jasmine.createSpy('queued');
+    var replayedSpy = jasmine.createSpy('replayed');
+    var resolved = jasmine.createSpy('resolved');
+    note.on('queued', queuedSpy);
+    note.on('replayed', replayedSpy);
+    goOffline();
+
+    note.save().then(resolved);
+    other.destroy();
+    $rootScope.$digest();
+
+    expect(resolved).toHaveBeenCalledWith(note);
+    expect(queuedSpy).toHaveBeenCalled();
+    expect(note.isNew()).toBe(true);
+    expect(operations()).toEqual(['create', 'delete']);
+    expect(JSON.parse(window.localStorage.getItem('test:outbox')).length).toEqual(2);
+
+    $httpBackend.expectPOST('/notes', {text: 'Buy milk'}).respond({id: 1, text: 'Buy milk'});
+    $httpBackend.expectDELETE('/notes/7').respond(204, '');
+    ModelOutbox.replay();
+    $httpBackend.flush();
+
+    expect(note.id).toEqual(1);
+    expect(note.isDirty()).toBe(false);
+    expect(replayedSpy).toHaveBeenCalledWith(note, {id: 1, text: 'Buy milk'}, jasmine.any(Object));
+    expect(ModelOutbox.entries().length).toEqual(0);
+  });
+
+  it('sets attributes of a waiting save which was queued', function () {
+    var note = new Note({id: 1, text: 'a'});
+    var resolved = jasmine.createSpy('resolved');
+    goOffline();
+
+    note.save({text: 'b'}, {wait: true}).then(resolved);
+    $rootScope.$digest();
+
+    expect(resolved).toHaveBeenCalledWith(note);
+    expect(ModelOutbox.entries().length).toEqual(1);
+    expect(JSON.parse(ModelOutbox.entries()[0].request.data)).toEqual({id: 1, text: 'b'});
+    expect(note.$get('text')).toEqual('b');
+  });
+
+  it('stops listening to the browser once the app is destroyed', inject(function ($window) {
+    spyOn($window, 'removeEventListener').and.callThrough();
+    $rootScope.$destroy();
+    expect($window.removeEventListener).toHaveBeenCalledWith('online', jasmine.any(Function));
+  }));
+
+  it('returns a request which can be aborted', function () {
+    var note = new Note({id: 1, text: 'Buy milk'});
+    var successSpy = jasmine.createSpy('success');
+    var request;
+    goOffline();
+
+    request = note.sync('update', note, {success: angular.noop, error: angular.noop});
+    request.success(successSpy).error(angular.noop);
+    $rootScope.$digest();
+    expect(successSpy).toHaveBeenCalledWith(null, 0, jasmine.any(Function), jasmine.any(Object));
+    expect(ModelOutbox.entries().length).toEqual(1);
+
+    request.abort();
+    expect(request.aborted).toBe(true);
+    expect(ModelOutbox.entries().length).toEqual(0);
+  });
+
+  it('queues mutations which fail without a response', function () {
+    var note = new Note({id: 1, text: 'Buy milk'});
+    var errorSpy = jasmine.createSpy('error');
+    note.on('error', errorSpy);
+
+    $httpBackend.expectPUT('/notes/1').respond(0, '');
+    note.save();
+    $httpBackend.flush();
+
+    expect(errorSpy).not.toHaveBeenCalled();
+    expect(ModelOutbox.entries().length).toEqual(1);
+  });
+
+  it('does not queue mutations of classes which did not opt in', function () {
+    var Plain = BaseModelClass.extend({urlRoot: {value: '/plain'}});
+    var rejected = jasmine.createSpy('rejected');
+
+    $httpBackend.expectPUT('/plain/1').respond(0, '');
+    new Plain({id: 1}).save().catch(rejected);
+    $httpBackend.flush();
+
+    expect(rejected).toHaveBeenCalled();
+    expect(ModelOutbox.entries().length).toEqual(0);
+  });
+
+  it('coalesces repeated mutations of a model', function () {
+    var note = new Note({id: 1, text: 'Buy milk'});
+    var draft = new Note({text: 'Draft'});
+    goOffline();
+
+    note.save({text: 'Buy bread'}, {patch: true});
+    note.save({done: true}, {patch: true});
+    draft.save();
+    draft.save({text: 'Final'}, {});
+    $rootScope.$digest();
+
+    var entries = ModelOutbox.entries();
+    expect(entries.length).toEqual(2);
+    expect(JSON.parse(entries[0].request.data)).toEqual({text: 'Buy bread', done: true});
+    expect(JSON.parse(entries[1].request.data)).toEqual({text: 'Final'});
+
+    draft.destroy();
+    $rootScope.$digest();
+    expect(operations()).toEqual(['patch']);
+  });
+
+  it('fires a conflict and keeps replaying', function () {
+    var first = new Note({id: 1});
+    var second = new Note({id: 2});
+    var conflictSpy = jasmine.createSpy('conflict');
+    first.on('conflict', conflictSpy);
+    goOffline();
+
+    first.save({text: 'Mine'}, {});
+    second.save({text: 'Other'}, {});
+    $rootScope.$digest();
+
+    $httpBackend.expectPUT('/notes/1').respond(409, {text: 'Theirs'});
+    $httpBackend.expectPUT('/notes/2').respond({id: 2, text: 'Other'});
+    ModelOutbox.replay();
+    $httpBackend.flush();
+
+    expect(conflictSpy).toHaveBeenCalledWith(first, {text: 'Theirs'}, 409, jasmine.any(Object));
+    expect(ModelOutbox.entries().length).toEqual(0);
+  });
+
+  it('stops replaying when the connection is lost again', function () {
+    goOffline();
+    new Note({id: 1}).save({text: 'Mine'}, {});
+    $rootScope.$digest();
+
+    $httpBackend.expectPUT('/notes/1').respond(0, '');
+    ModelOutbox.replay();
+    $httpBackend.flush();
+
+    expect(ModelOutbox.entries().length).toEqual(1);
+  });
+});
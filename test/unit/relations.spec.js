@@ -0,0 +1,171 @@
+describe('ModelRelations', function () {
+  'use strict';
+  var $httpBackend;
+  var BaseModelClass;
+  var BaseCollectionClass;
+  var Person, Comment, Comments, Post;
+
+  beforeEach(module('angular.models', function ($provide) {
+    $provide.factory('PersonModelClass', function () {
+      return Person;
+    });
+  }));
+
+  beforeEach(inject(function (_$httpBackend_, _BaseModelClass_, _BaseCollectionClass_) {
+    $httpBackend = _$httpBackend_;
+    BaseModelClass = _BaseModelClass_;
+    BaseCollectionClass = _BaseCollectionClass_;
+
+    Person = BaseModelClass.extend({
+      urlRoot: {value: '/persons'}
+    });
+
+    Comment = BaseModelClass.extend({});
+
+    Comments = BaseCollectionClass.extend({
+      model: {value: Comment},
+      url: {value: '/comments'}
+    });
+
+    Post = BaseModelClass.extend({
+      urlRoot: {value: '/posts'},
+      relations: {
+        value: {
+          author: {type: 'belongsTo', model: Person, foreignKey: 'authorId', serialize: 'id'},
+          editor: {model: Person, serialize: 'omit'},
+          comments: {type: 'hasMany', collection: Comments, foreignKey: 'postId'}
+        }
+      }
+    });
+  }));
+
+  it('turns nested data into related instances', function () {
+    var post = new Post({id: 1, author: {id: 7, name: 'Eugene'}, comments: [{id: 1, text: 'Nice!'}]});
+
+    expect(post.$get('author') instanceof Person).toBeTruthy();
+    expect(post.$get('author').$get('name')).toEqual('Eugene');
+    expect(post.$get('comments') instanceof Comments).toBeTruthy();
+    expect(post.$get('comments').first() instanceof Comment).toBeTruthy();
+  });
+
+  it('uses a collection of the related model by default', function () {
+    var Author = BaseModelClass.extend({
+      relations: {value: {books: {type: 'hasMany', model: Person}}}
+    });
+    var author = new Author({books: [{id: 1}, {id: 2}]});
+    expect(author.$get('books') instanceof BaseCollectionClass).toBeTruthy();
+    expect(author.$get('books').at(1) instanceof Person).toBeTruthy();
+  });
+
+  it('resolves related classes by a factory name', function () {
+    var Book = BaseModelClass.extend({
+      relations: {value: {author: {model: 'PersonModelClass'}}}
+    });
+    expect(new Book({author: {id: 1}}).$get('author') instanceof Person).toBeTruthy();
+  });
+
+  it('merges nested data into existing instances', function () {
+    var post = new Post({id: 1, author: {id: 7, name: 'Eugene'}, comments: [{id: 1, text: 'Nice!'}]});
+    var author = post.$get('author');
+    var comments = post.$get('comments');
+
+    post.$set({author: {id: 7, name: 'Eugene Brodsky'}, comments: [{id: 1, text: 'Nice!'}, {id: 2, text: 'Agreed'}]});
+    expect(post.$get('author')).toBe(author);
+    expect(author.$get('name')).toEqual('Eugene Brodsky');
+    expect(post.$get('comments')).toBe(comments);
+    expect(comments.length).toEqual(2);
+
+    post.$set('author', {id: 8, name: 'Oshri'});
+    expect(post.$get('author')).not.toBe(author);
+  });
+
+  it('keeps foreign keys in sync', function () {
+    var post = new Post({author: {name: 'Eugene'}, comments: [{text: 'Nice!'}]});
+    expect(post.$get('authorId')).toBeUndefined();
+
+    post.$get('author').$set('id', 7);
+    expect(post.$get('authorId')).toEqual(7);
+
+    post.$set('id', 1);
+    expect(post.$get('comments').first().$get('postId')).toEqual(1);
+
+    post.$get('comments').add({text: 'Agreed'});
+    expect(post.$get('comments').last().$get('postId')).toEqual(1);
+
+    post.$set('author', null);
+    expect(post.$get('authorId')).toBeNull();
+  });
+
+  it('bubbles events of related instances', function () {
+    var post = new Post({id: 1, author: {id: 7, name: 'Eugene'}, comments: []});
+    var changeSpy = jasmine.createSpy('change:author');
+    var addSpy = jasmine.createSpy('add:comments');
+    post.on('change:author', changeSpy);
+    post.on('add:comments', addSpy);
+
+    post.$get('author').$set('name', 'Eugene Brodsky');
+    expect(changeSpy).toHaveBeenCalledWith(post, post.$get('author'), post.$get('author'), jasmine.any(Object));
+
+    post.$get('comments').add({text: 'Nice!'});
+    expect(addSpy).toHaveBeenCalled();
+    expect(addSpy.calls.mostRecent().args[2]).toBe(post.$get('comments').first());
+  });
+
+  it('stops bubbling events of replaced instances', function () {
+    var post = new Post({author: {id: 7}});
+    var author = post.$get('author');
+    var spy = jasmine.createSpy('change:author');
+
+    post.$set('author', {id: 8});
+    post.on('change:author', spy);
+    author.$set('name', 'Eugene');
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('serializes relations as declared', function () {
+    var post = new Post({id: 1, title: 'Hello', author: {id: 7}, editor: {id: 8}, comments: [{id: 1, text: 'Nice!'}]});
+    expect(post.toJSON()).toEqual({
+      id: 1,
+      title: 'Hello',
+      authorId: 7,
+      author: 7,
+      comments: [{id: 1, text: 'Nice!', postId: 1}]
+    });
+  });
+
+  it('parses nested data returned by the server', function () {
+    $httpBackend.expectGET('/posts/1')
+      .respond({id: 1, author: {id: 7, name: 'Eugene'}, comments: [{id: 1}, {id: 2}]});
+
+    var post = new Post({id: 1});
+    post.fetch();
+    $httpBackend.flush();
+
+    expect(post.$get('author').$get('name')).toEqual('Eugene');
+    expect(post.$get('comments').length).toEqual(2);
+  });
+
+  it('leaves related instances untouched by an invalid write', function () {
+    var Article = Post.extend({
+      schema: {value: {title: 'string'}}
+    });
+    var article = new Article({id: 1, title: 'Hello', author: {id: 7, name: 'Eugene'}});
+
+    expect(article.$set({title: null, author: {id: 7, name: 'Changed'}})).toBe(false);
+    expect(article.$get('author').$get('name')).toEqual('Eugene');
+  });
+
+  it('requires a model of a "hasOne" or "belongsTo" relation', function () {
+    var Broken = BaseModelClass.extend({
+      relations: {value: {owner: {type: 'belongsTo'}}}
+    });
+    var error;
+    try {
+      new Broken({owner: {id: 1}});
+    }
+    catch (e) {
+      error = e;
+    }
+    expect(error.message).toEqual('A "belongsTo" relation "owner" must declare a "model"');
+  });
+});
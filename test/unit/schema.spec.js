@@ -0,0 +1,129 @@
+describe('ModelSchema', function () {
+  'use strict';
+  var BaseModelClass;
+  var ValidationExceptionClass;
+  var Book;
+
+  beforeEach(module('angular.models'));
+
+  beforeEach(inject(function (_BaseModelClass_, _ValidationExceptionClass_) {
+    BaseModelClass = _BaseModelClass_;
+    ValidationExceptionClass = _ValidationExceptionClass_;
+
+    Book = BaseModelClass.extend({
+      urlRoot: {value: '/books'},
+      schema: {
+        value: {
+          title: {type: 'string', required: true},
+          price: {type: 'number', default: 0},
+          pages: 'integer',
+          inStock: {type: Boolean, default: true},
+          format: {type: 'string', enum: ['paper', 'ebook'], nullable: true},
+          published: Date,
+          tags: {type: 'array', default: function () { return []; }},
+          isbn: {type: 'string', coerce: function (value) { return String(value).replace(/-/g, ''); }}
+        }
+      }
+    });
+  }));
+
+  it('derives defaults from the schema', function () {
+    var book = new Book({title: 'Sherlock Holmes'});
+    expect(book.$get('price')).toEqual(0);
+    expect(book.$get('inStock')).toBe(true);
+    expect(book.$get('tags')).toEqual([]);
+    expect(book.$get('tags')).not.toBe(new Book({title: 'Emma'}).$get('tags'));
+  });
+
+  it('merges schema defaults with the "defaults" hash', function () {
+    var Ebook = Book.extend({
+      defaults: {value: {price: 5, format: 'ebook'}}
+    });
+    var book = new Ebook({title: 'Sherlock Holmes'});
+    expect(book.$get('price')).toEqual(5);
+    expect(book.$get('format')).toEqual('ebook');
+  });
+
+  it('coerces values on every write', function () {
+    var book = new Book({title: 'Sherlock Holmes', price: '9.99', pages: '120.4', inStock: '0'});
+    expect(book.$get('price')).toEqual(9.99);
+    expect(book.$get('pages')).toEqual(120);
+    expect(book.$get('inStock')).toBe(false);
+
+    book.$set({published: '2015-06-01T00:00:00.000Z', title: 42});
+    expect(book.$get('published') instanceof Date).toBeTruthy();
+    expect(book.$get('title')).toEqual('42');
+  });
+
+  it('uses a custom coercion function', function () {
+    var book = new Book({title: 'Sherlock Holmes', isbn: '978-3-16'});
+    expect(book.$get('isbn')).toEqual('978316');
+  });
+
+  it('rejects a write of a wrong type and fires "invalid"', function () {
+    var book = new Book({title: 'Sherlock Holmes'});
+    var spy = jasmine.createSpy('invalid');
+    book.on('invalid', spy);
+
+    expect(book.$set('price', 'free')).toBe(false);
+    expect(book.$get('price')).toEqual(0);
+    expect(spy).toHaveBeenCalled();
+    expect(book.validationError instanceof ValidationExceptionClass).toBeTruthy();
+    expect(book.validationError.errors.price).toEqual(['"price" must be a number']);
+  });
+
+  it('checks enum and nullable options', function () {
+    var book = new Book({title: 'Sherlock Holmes'});
+    expect(book.$set('format', 'audio')).toBe(false);
+    expect(book.$set('format', null)).toBe(book);
+    expect(book.$set('price', null)).toBe(false);
+    expect(book.validationError.errors.price).toEqual(['"price" must not be null']);
+  });
+
+  it('allows to clear a required attribute while it is being edited', function () {
+    var book = new Book({title: 'Sherlock Holmes'});
+    expect(book.$set('title', '')).toBe(book);
+    expect(book.unset('title')).toBe(book);
+    expect(book.has('title')).toBe(false);
+    expect(book.isValid()).toBe(false);
+  });
+
+  it('checks required attributes before save', function () {
+    var book = new Book();
+    var rejected = jasmine.createSpy('rejected');
+    inject(function ($rootScope) {
+      book.save().catch(rejected);
+      $rootScope.$digest();
+    });
+    expect(rejected).toHaveBeenCalled();
+    expect(book.validationError.errors.title).toEqual(['"title" is required']);
+    expect(book.isValid()).toBe(false);
+  });
+
+  it('runs a validate function after the schema', function () {
+    var Novel = Book.extend({
+      validate: {
+        value: function (attrs) {
+          if (attrs.pages > 1000) {
+            return new ValidationExceptionClass('Too long');
+          }
+        }
+      }
+    });
+    var novel = new Novel({title: 'War and Peace'});
+    expect(novel.$set('pages', 'many')).toBe(false);
+    expect(novel.$set('pages', '1225')).toBe(false);
+    expect(novel.validationError.message).toEqual('Too long');
+    expect(novel.$set('pages', '225')).toBe(novel);
+  });
+
+  it('runs a validate function on a write of no attributes', function () {
+    var validate = jasmine.createSpy('validate');
+    var Novel = Book.extend({validate: {value: validate}});
+    var novel = new Novel({title: 'War and Peace'});
+    validate.calls.reset();
+
+    novel.$set({});
+    expect(validate).toHaveBeenCalled();
+  });
+});
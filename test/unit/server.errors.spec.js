@@ -0,0 +1,93 @@
+describe('ModelServerErrors', function () {
+  'use strict';
+  var ModelServerErrors;
+  var ValidationExceptionClass;
+  var BaseModelClass;
+  var $httpBackend;
+
+  beforeEach(module('angular.models', function (ModelServerErrorsProvider) {
+    ModelServerErrorsProvider.registerFormat('messages', function (data) {
+      return data && data.messages ? {base: data.messages} : null;
+    });
+  }));
+
+  beforeEach(inject(function (_ModelServerErrors_, _ValidationExceptionClass_, _BaseModelClass_, _$httpBackend_) {
+    ModelServerErrors = _ModelServerErrors_;
+    ValidationExceptionClass = _ValidationExceptionClass_;
+    BaseModelClass = _BaseModelClass_;
+    $httpBackend = _$httpBackend_;
+  }));
+
+  it('translates rails errors', function () {
+    expect(ModelServerErrors.translate({errors: {title: ['can\'t be blank'], price: 'is not a number'}})).toEqual({
+      title: ['can\'t be blank'],
+      price: ['is not a number']
+    });
+    expect(ModelServerErrors.translate({errors: ['Book is locked']})).toEqual({base: ['Book is locked']});
+  });
+
+  it('translates JSON:API errors', function () {
+    expect(ModelServerErrors.translate({errors: [
+      {source: {pointer: '/data/attributes/title'}, detail: 'is taken'},
+      {source: {pointer: '/data/attributes/address/city'}, title: 'Invalid city'},
+      {detail: 'Book is locked'}
+    ]})).toEqual({
+      title: ['is taken'],
+      'address.city': ['Invalid city'],
+      base: ['Book is locked']
+    });
+  });
+
+  it('translates problem details', function () {
+    expect(ModelServerErrors.translate({
+      type: 'https://example.com/validation',
+      title: 'Your request is not valid',
+      'invalid-params': [{name: 'price', reason: 'must be positive'}]
+    })).toEqual({price: ['must be positive']});
+    expect(ModelServerErrors.translate({title: 'Out of stock'})).toEqual({base: ['Out of stock']});
+  });
+
+  it('uses a registered or given format', function () {
+    expect(ModelServerErrors.translate({messages: ['Nope']})).toEqual({base: ['Nope']});
+    expect(ModelServerErrors.translate({errors: ['Nope']}, 'messages')).toBeNull();
+    expect(ModelServerErrors.translate('Nope', function (data) { return {base: [data]}; })).toEqual({base: ['Nope']});
+    expect(ModelServerErrors.translate('Internal error')).toBeNull();
+  });
+
+  describe('save', function () {
+    var Book;
+
+    beforeEach(function () {
+      Book = BaseModelClass.extend({urlRoot: {value: '/books'}});
+    });
+
+    it('rejects with a validation error and fires invalid', function () {
+      var book = new Book({title: 'Sherlock Holmes'});
+      var invalidSpy = jasmine.createSpy('invalid');
+      var rejected = jasmine.createSpy('rejected');
+      book.on('invalid', invalidSpy);
+
+      $httpBackend.expectPOST('/books').respond(422, {errors: {title: ['has already been taken']}});
+      book.save().catch(rejected);
+      $httpBackend.flush();
+
+      var error = rejected.calls.mostRecent().args[0];
+      expect(error instanceof ValidationExceptionClass).toBe(true);
+      expect(error.errors).toEqual({title: ['has already been taken']});
+      expect(book.validationError).toBe(error);
+      expect(invalidSpy).toHaveBeenCalledWith(book, error, jasmine.any(Object));
+    });
+
+    it('keeps an http error of an unknown payload', function () {
+      var book = new Book({title: 'Sherlock Holmes'});
+      var rejected = jasmine.createSpy('rejected');
+
+      $httpBackend.expectPOST('/books').respond(422, {errors: {title: ['is taken']}});
+      book.save({}, {serverErrorFormat: 'messages'}).catch(rejected);
+      $httpBackend.flush();
+
+      expect(rejected.calls.mostRecent().args[0] instanceof ValidationExceptionClass).toBe(false);
+      expect(book.validationError).toBeNull();
+    });
+  });
+});
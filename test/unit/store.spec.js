@@ -0,0 +1,135 @@
+describe('ModelStore', function () {
+  'use strict';
+  var $httpBackend;
+  var ModelStore;
+  var BaseModelClass;
+  var BaseCollectionClass;
+  var Person, Persons;
+
+  beforeEach(module('angular.models', function (ModelStoreProvider) {
+    ModelStoreProvider.setCapacity(3);
+  }));
+
+  beforeEach(inject(function (_$httpBackend_, _ModelStore_, _BaseModelClass_, _BaseCollectionClass_) {
+    $httpBackend = _$httpBackend_;
+    ModelStore = _ModelStore_;
+    BaseModelClass = _BaseModelClass_;
+    BaseCollectionClass = _BaseCollectionClass_;
+
+    Person = BaseModelClass.extend({
+      urlRoot: {value: '/persons'},
+      identityMap: {value: true}
+    });
+
+    Persons = BaseCollectionClass.extend({
+      model: {value: Person},
+      url: {value: '/persons'}
+    });
+  }));
+
+  it('registers models which have an id', function () {
+    var person = new Person({id: 1});
+    expect(ModelStore.get(Person, 1)).toBe(person);
+    expect(ModelStore.get(Person, 2)).toBeUndefined();
+
+    var anonymous = new Person();
+    expect(ModelStore.size()).toEqual(1);
+    anonymous.$set('id', 2);
+    expect(ModelStore.get(Person, 2)).toBe(anonymous);
+  });
+
+  it('does not register models of classes without an identity map', function () {
+    var Book = BaseModelClass.extend({});
+    new Book({id: 1});
+    expect(ModelStore.get(Book, 1)).toBeUndefined();
+  });
+
+  it('keys models by class', function () {
+    var Robot = Person.extend({});
+    var person = new Person({id: 1});
+    var robot = new Robot({id: 1});
+    expect(ModelStore.get(Person, 1)).toBe(person);
+    expect(ModelStore.get(Robot, 1)).toBe(robot);
+  });
+
+  it('resolves one instance per id', function () {
+    var person = ModelStore.resolve(Person, {id: 1, name: 'Eugene'});
+    var same = ModelStore.resolve(Person, {id: 1, title: 'Developer'});
+    expect(same).toBe(person);
+    expect(person.$get('name')).toEqual('Eugene');
+    expect(person.$get('title')).toEqual('Developer');
+  });
+
+  it('merges data fetched by a model built with "new" into the stored one', function () {
+    $httpBackend.expectGET('/persons/1').respond({id: 1, name: 'Eugene'});
+
+    var person = new Person({id: 1});
+    var copy = new Person({id: 1});
+    copy.fetch();
+    $httpBackend.flush();
+
+    expect(copy).not.toBe(person);
+    expect(ModelStore.get(Person, 1)).toBe(person);
+    expect(person.$get('name')).toEqual('Eugene');
+    expect(person.isDirty()).toBe(false);
+  });
+
+  it('shares models between collections', function () {
+    $httpBackend.expectGET('/persons').respond([{id: 1, name: 'Eugene'}, {id: 2, name: 'Oshri'}]);
+
+    var person = new Person({id: 1});
+    var first = new Persons([{id: 2}]);
+    var second = new Persons();
+    second.fetch();
+    $httpBackend.flush();
+
+    expect(second.get(1)).toBe(person);
+    expect(second.get(2)).toBe(first.get(2));
+    expect(person.$get('name')).toEqual('Eugene');
+  });
+
+  it('resolves related models through the store', function () {
+    var Post = BaseModelClass.extend({
+      relations: {value: {author: {model: Person}}}
+    });
+    var person = new Person({id: 1});
+    var post = new Post({author: {id: 1, name: 'Eugene'}});
+    expect(post.$get('author')).toBe(person);
+    expect(person.$get('name')).toEqual('Eugene');
+  });
+
+  it('evicts models manually', function () {
+    var person = new Person({id: 1});
+    new Person({id: 2});
+
+    expect(ModelStore.evict(person)).toBe(person);
+    expect(ModelStore.get(Person, 1)).toBeUndefined();
+
+    ModelStore.evict(Person, 2);
+    expect(ModelStore.size()).toEqual(0);
+
+    new Person({id: 3});
+    ModelStore.clear(Person);
+    expect(ModelStore.size()).toEqual(0);
+  });
+
+  it('evicts destroyed models', function () {
+    $httpBackend.expectDELETE('/persons/1').respond(204, '');
+    var person = new Person({id: 1});
+    person.destroy();
+    $httpBackend.flush();
+    expect(ModelStore.get(Person, 1)).toBeUndefined();
+  });
+
+  it('evicts the least recently used model when full', function () {
+    new Person({id: 1});
+    new Person({id: 2});
+    new Person({id: 3});
+    ModelStore.get(Person, 1);
+    new Person({id: 4});
+
+    expect(ModelStore.size()).toEqual(3);
+    expect(ModelStore.get(Person, 2)).toBeUndefined();
+    expect(ModelStore.get(Person, 1)).toBeDefined();
+  });
+});
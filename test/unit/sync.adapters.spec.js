@@ -0,0 +1,195 @@
+describe('Sync adapters', function () {
+  'use strict';
+  var $rootScope;
+  var $q;
+  var $window;
+  var CancellationExceptionClass;
+  var BaseModelClass;
+  var BaseCollectionClass;
+  var customAdapter;
+
+  beforeEach(module('angular.models', function ($provide, BaseSyncClassProvider) {
+    customAdapter = {sync: jasmine.createSpy('sync')};
+    $provide.value('CustomSyncAdapter', customAdapter);
+    BaseSyncClassProvider.registerAdapter('custom', 'CustomSyncAdapter');
+  }));
+
+  beforeEach(inject(function (_$rootScope_, _$q_, _$window_, _CancellationExceptionClass_, _BaseModelClass_, _BaseCollectionClass_) {
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    $window = _$window_;
+    CancellationExceptionClass = _CancellationExceptionClass_;
+    BaseModelClass = _BaseModelClass_;
+    BaseCollectionClass = _BaseCollectionClass_;
+  }));
+
+  function define(adapter) {
+    var Person = BaseModelClass.extend({
+      urlRoot: {value: '/persons'},
+      syncAdapter: {value: adapter}
+    });
+    var Persons = BaseCollectionClass.extend({
+      model: {value: Person},
+      url: {value: '/persons'},
+      syncAdapter: {value: adapter}
+    });
+    return {Person: Person, Persons: Persons};
+  }
+
+  it('delegates to a registered adapter', function () {
+    var Person = define('custom').Person;
+    var person = new Person({id: 1});
+    person.fetch();
+    expect(customAdapter.sync).toHaveBeenCalledWith('read', person, jasmine.any(Object));
+  });
+
+  it('returns a request which can be aborted', function () {
+    var Person = define('custom').Person;
+    var person = new Person({id: 1});
+    var rejected = jasmine.createSpy('rejected');
+    var adapterOptions, request;
+    customAdapter.sync.and.callFake(function (method, model, options) {
+      adapterOptions = options;
+      return $q.defer().promise;
+    });
+
+    request = person.sync('read', person, {});
+    expect(request.abort).toEqual(jasmine.any(Function));
+    expect(request.success).toEqual(jasmine.any(Function));
+    expect(request.error).toEqual(jasmine.any(Function));
+
+    person.fetch().catch(rejected);
+    person.abort();
+    adapterOptions.success({id: 1, name: 'Eugene'});
+    $rootScope.$digest();
+
+    expect(rejected.calls.mostRecent().args[0] instanceof CancellationExceptionClass).toBeTruthy();
+    expect(person.$get('name')).toBeUndefined();
+  });
+
+  describe('localStorage', function () {
+    var Person, Persons;
+
+    beforeEach(function () {
+      window.localStorage.clear();
+      var classes = define('localStorage');
+      Person = classes.Person;
+      Persons = classes.Persons;
+    });
+
+    it('creates, reads, patches and deletes models', function () {
+      var person = new Person({name: 'Eugene', title: 'Developer'});
+      var syncSpy = jasmine.createSpy('sync');
+      person.on('sync', syncSpy);
+
+      person.save();
+      $rootScope.$digest();
+      expect(person.id).toBeDefined();
+      expect(syncSpy).toHaveBeenCalled();
+
+      var copy = new Person({id: person.id});
+      copy.fetch();
+      $rootScope.$digest();
+      expect(copy.$get('name')).toEqual('Eugene');
+
+      copy.save({title: 'Manager'}, {patch: true});
+      $rootScope.$digest();
+      expect(JSON.parse(window.localStorage.getItem('angular.models:/persons'))[person.id])
+        .toEqual({id: person.id, name: 'Eugene', title: 'Manager'});
+
+      var persons = new Persons();
+      persons.fetch();
+      $rootScope.$digest();
+      expect(persons.length).toEqual(1);
+
+      copy.destroy();
+      $rootScope.$digest();
+      persons.fetch();
+      $rootScope.$digest();
+      expect(persons.length).toEqual(0);
+    });
+
+    it('stores a JSON representation of a model', function () {
+      var Account = Person.extend({
+        readOnlyAttributes: {value: ['createdAt']},
+        transientAttributes: {value: ['selected']}
+      });
+      new Account({id: 1, name: 'Eugene', createdAt: '2015-10-05', selected: true}).save();
+      $rootScope.$digest();
+      expect(JSON.parse(window.localStorage.getItem('angular.models:/persons'))[1])
+        .toEqual({id: 1, name: 'Eugene', createdAt: '2015-10-05'});
+    });
+
+    it('rejects reading a missing model', function () {
+      var errorSpy = jasmine.createSpy('error');
+      var person = new Person({id: 'missing'});
+      person.on('error', errorSpy);
+
+      person.fetch();
+      $rootScope.$digest();
+      expect(errorSpy).toHaveBeenCalled();
+      expect(errorSpy.calls.mostRecent().args[1]).toEqual('Not found');
+    });
+
+    it('uses a store name instead of a URL', function () {
+      var Note = BaseModelClass.extend({
+        storeName: {value: 'notes'},
+        syncAdapter: {value: 'localStorage'}
+      });
+      new Note({id: 1, text: 'Buy milk'}).save();
+      $rootScope.$digest();
+      expect(window.localStorage.getItem('angular.models:notes')).toContain('Buy milk');
+    });
+  });
+
+  describe('indexedDB database', function () {
+    var indexedDB, requests;
+
+    beforeEach(function () {
+      indexedDB = $window.indexedDB;
+      requests = [];
+      $window.indexedDB = {
+        open: function () {
+          var request = {};
+          requests.push(request);
+          return request;
+        }
+      };
+    });
+
+    afterEach(function () {
+      $window.indexedDB = indexedDB;
+    });
+
+    it('opens the database again after a failure', inject(function (IndexedDBSyncAdapter) {
+      var rejected = jasmine.createSpy('rejected');
+      IndexedDBSyncAdapter.$open().catch(rejected);
+      requests[0].error = new Error('Blocked');
+      requests[0].onerror();
+      expect(rejected).toHaveBeenCalledWith(requests[0].error);
+
+      IndexedDBSyncAdapter.$open();
+      expect(requests.length).toEqual(2);
+    }));
+  });
+
+  describe('indexedDB', function () {
+    if (!window.indexedDB) {
+      return;
+    }
+
+    it('creates and reads models', function (done) {
+      var classes = define('indexedDB');
+      var person = new classes.Person({name: 'Eugene'});
+
+      person.save().then(function () {
+        var persons = new classes.Persons();
+        return persons.fetch().then(function () {
+          expect(persons.get(person.id).$get('name')).toEqual('Eugene');
+          return persons.get(person.id).destroy();
+        });
+      })
+      .then(done, done.fail);
+    });
+  });
+});
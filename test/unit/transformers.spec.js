@@ -0,0 +1,87 @@
+describe('ModelTransformers', function () {
+  'use strict';
+  var BaseModelClass;
+  var $httpBackend;
+  var Order;
+
+  beforeEach(module('angular.models', function (ModelTransformersProvider) {
+    ModelTransformersProvider.registerTransformer('csv', {
+      parse: function (value) { return value.split(','); },
+      serialize: function (value) { return value.join(','); }
+    });
+  }));
+
+  beforeEach(inject(function (_BaseModelClass_, _$httpBackend_) {
+    BaseModelClass = _BaseModelClass_;
+    $httpBackend = _$httpBackend_;
+    Order = BaseModelClass.extend({
+      urlRoot: {value: '/orders'},
+      transformers: {
+        value: {
+          createdAt: 'date',
+          shippedAt: 'epoch',
+          total: 'money',
+          rate: {type: 'money', digits: 3},
+          paid: 'boolean',
+          status: {type: 'enum', values: {1: 'new', 2: 'shipped'}},
+          tags: 'csv',
+          code: {
+            parse: function (value) { return value.toLowerCase(); },
+            serialize: function (value) { return value.toUpperCase(); }
+          }
+        }
+      }
+    });
+  }));
+
+  var json = {
+    id: 1,
+    createdAt: '2015-10-05T10:00:00.000Z',
+    shippedAt: 1444039200000,
+    total: 1999,
+    rate: 1250,
+    paid: '1',
+    status: 2,
+    tags: 'gift,express',
+    code: 'AB',
+    note: null
+  };
+
+  it('parses attributes', function () {
+    var order = new Order(json, {parse: true});
+
+    expect(order.$get('createdAt')).toEqual(new Date(Date.UTC(2015, 9, 5, 10)));
+    expect(order.$get('shippedAt')).toEqual(new Date(1444039200000));
+    expect(order.$get('total')).toEqual(19.99);
+    expect(order.$get('rate')).toEqual(1.25);
+    expect(order.$get('paid')).toBe(true);
+    expect(order.$get('status')).toEqual('shipped');
+    expect(order.$get('tags')).toEqual(['gift', 'express']);
+    expect(order.$get('code')).toEqual('ab');
+    expect(order.$get('note')).toBeNull();
+  });
+
+  it('serializes attributes', function () {
+    var order = new Order(json, {parse: true});
+    order.$set({paid: false, status: 'new'});
+
+    expect(order.toJSON()).toEqual(angular.extend({}, json, {paid: '0', status: 1}));
+  });
+
+  it('transforms request and response bodies', function () {
+    var order = new Order({id: 1}, {parse: true});
+
+    $httpBackend.expectGET('/orders/1').respond({id: 1, total: 500, createdAt: '2015-10-05T10:00:00.000Z'});
+    order.fetch();
+    $httpBackend.flush();
+    expect(order.$get('total')).toEqual(5);
+
+    $httpBackend.expectPATCH('/orders/1', {total: 750}).respond({id: 1, total: 750});
+    order.save({total: 7.5}, {patch: true});
+    $httpBackend.flush();
+
+    $httpBackend.expectPUT('/orders/1', {id: 1, total: 750, createdAt: '2015-10-05T10:00:00.000Z'}).respond({});
+    order.save();
+    $httpBackend.flush();
+  });
+});
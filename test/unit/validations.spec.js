@@ -0,0 +1,261 @@
+describe('ModelValidations', function () {
+  'use strict';
+  var ModelValidations;
+  var BaseModelClass;
+  var ValidationExceptionClass;
+
+  beforeEach(module('angular.models', function (ModelValidationsProvider) {
+    ModelValidationsProvider.registerRule('even', function (value, option, attrs, model, attr) {
+      if (option && value % 2) {
+        return '"' + attr + '" must be even';
+      }
+    });
+  }));
+
+  beforeEach(inject(function (_ModelValidations_, _BaseModelClass_, _ValidationExceptionClass_) {
+    ModelValidations = _ModelValidations_;
+    BaseModelClass = _BaseModelClass_;
+    ValidationExceptionClass = _ValidationExceptionClass_;
+  }));
+
+  it('checks built-in rules', function () {
+    var validations = {
+      name: {required: true, length: {min: 2, max: 5}},
+      age: {number: {integer: true}, min: 18, max: 99},
+      code: {pattern: /^[A-Z]+$/},
+      email: {email: true},
+      site: {url: true},
+      born: {date: {after: '1900-01-01', before: '2000-01-01'}},
+      format: {inclusion: ['paper', 'ebook']},
+      password: {confirmation: true},
+      pages: {even: true}
+    };
+    var attrs = {
+      name: 'A',
+      age: 17.5,
+      code: 'abc',
+      email: 'eugene@',
+      site: 'example.com',
+      born: '2010-05-01',
+      format: 'audio',
+      password: 'secret',
+      passwordConfirmation: 'secrets',
+      pages: 3
+    };
+
+    expect(ModelValidations.validate(validations, attrs)).toEqual({
+      name: ['"name" is too short (minimum is 2)'],
+      age: ['"age" must be an integer', '"age" must be at least 18'],
+      code: ['"code" is invalid'],
+      email: ['"email" must be an email address'],
+      site: ['"site" must be a URL'],
+      born: ['"born" must be before 2000-01-01T00:00:00.000Z'],
+      format: ['"format" must be one of: paper, ebook'],
+      password: ['"password" does not match "passwordConfirmation"'],
+      pages: ['"pages" must be even']
+    });
+    expect(ModelValidations.validate(validations, {
+      name: 'Bob',
+      age: '30',
+      code: 'ABC',
+      email: 'bob@example.com',
+      site: 'https://example.com',
+      born: new Date(1980, 1, 1),
+      format: 'ebook',
+      pages: 2
+    })).toBeNull();
+  });
+
+  it('checks a confirmation once both values are given', function () {
+    var validations = {password: {confirmation: true}};
+    expect(ModelValidations.validate(validations, {password: 'secret'})).toBeNull();
+    expect(ModelValidations.validate(validations, {password: 'secret', passwordConfirmation: ''})).toBeNull();
+    expect(ModelValidations.validate(validations, {password: 'secret', passwordConfirmation: 'secret'})).toBeNull();
+    expect(ModelValidations.validate(validations, {password: 'secret', passwordConfirmation: 'secrets'})).toEqual({
+      password: ['"password" does not match "passwordConfirmation"']
+    });
+  });
+
+  it('checks only required rules of empty values', function () {
+    var validations = {name: {required: true, length: {min: 2}}, email: {email: true}};
+    expect(ModelValidations.validate(validations, {name: '', email: null})).toEqual({name: ['"name" is required']});
+    expect(ModelValidations.validate(validations, {name: '', email: null}, ['name'])).toBeNull();
+  });
+
+  it('accepts custom functions and messages', function () {
+    var validations = {
+      title: function (value) {
+        return value === 'Untitled' ? 'Pick a title' : null;
+      },
+      price: {min: {value: 0, message: 'Must not be negative'}, custom: function (value, attrs) {
+        return !attrs.free || value === 0;
+      }}
+    };
+    expect(ModelValidations.validate(validations, {title: 'Untitled', price: -1, free: true})).toEqual({
+      title: ['Pick a title'],
+      price: ['Must not be negative', '"price" is invalid']
+    });
+  });
+
+  describe('models', function () {
+    var Account;
+
+    beforeEach(function () {
+      Account = BaseModelClass.extend({
+        validations: {
+          value: {
+            email: {required: true, email: true},
+            password: {required: true, length: {min: 8}}
+          }
+        }
+      });
+    });
+
+    it('collects errors of all attributes into one exception', function () {
+      var account = new Account();
+      var invalidSpy = jasmine.createSpy('invalid');
+      account.on('invalid', invalidSpy);
+
+      expect(account.isValid()).toBe(false);
+      var error = invalidSpy.calls.mostRecent().args[1];
+      expect(error instanceof ValidationExceptionClass).toBe(true);
+      expect(error.errors).toEqual({
+        email: ['"email" is required'],
+        password: ['"password" is required']
+      });
+      expect(error.message).toEqual('"email" is required; "password" is required');
+    });
+
+    it('checks a single attribute', function () {
+      var account = new Account({email: 'eugene@example.com'});
+      expect(account.isValid('email')).toBe(true);
+      expect(account.isValid('password')).toBe(false);
+      expect(account.errorsFor('password')).toEqual(['"password" is required']);
+      expect(account.errorsFor('email')).toEqual([]);
+    });
+
+    it('rejects invalid writes', function () {
+      var account = new Account({email: 'eugene@example.com', password: 'long enough'});
+      expect(account.$set('password', 'short')).toBe(false);
+      expect(account.$get('password')).toEqual('long enough');
+      expect(account.errorsFor('password')).toEqual(['"password" is too short (minimum is 8)']);
+    });
+
+    it('allows to clear a required attribute while it is being edited', function () {
+      var account = new Account({email: 'eugene@example.com', password: 'long enough'});
+      expect(account.$set('email', '')).not.toBe(false);
+      expect(account.$get('email')).toEqual('');
+      expect(account.isValid()).toBe(false);
+      expect(account.errorsFor('email')).toEqual(['"email" is required']);
+    });
+
+    it('accepts a password typed before its confirmation', function () {
+      var Confirmed = BaseModelClass.extend({
+        validations: {
+          value: {
+            password: {required: true, confirmation: true},
+            passwordConfirmation: {required: true}
+          }
+        }
+      });
+      var account = new Confirmed();
+
+      expect(account.$set('password', 'long enough')).not.toBe(false);
+      expect(account.isValid()).toBe(false);
+      expect(account.$set('passwordConfirmation', 'long enough')).not.toBe(false);
+      expect(account.isValid()).toBe(true);
+    });
+  });
+
+  describe('async validators', function () {
+    var $q;
+    var $timeout;
+    var $httpBackend;
+    var Account;
+    var taken;
+
+    beforeEach(inject(function (_$q_, _$timeout_, _$httpBackend_) {
+      $q = _$q_;
+      $timeout = _$timeout_;
+      $httpBackend = _$httpBackend_;
+      taken = ['eugene'];
+      Account = BaseModelClass.extend({
+        urlRoot: {value: '/accounts'},
+        asyncValidators: {
+          value: {
+            username: {
+              debounce: 300,
+              validate: jasmine.createSpy('username').and.callFake(function (value) {
+                return $q.when(taken.indexOf(value) !== -1 ? 'The username is taken' : null);
+              })
+            }
+          }
+        }
+      });
+    }));
+
+    it('debounces validators and reports pending state', function () {
+      var account = new Account();
+      var validating = jasmine.createSpy('validating');
+      var validated = jasmine.createSpy('validated');
+      var rejected = jasmine.createSpy('rejected');
+      account.on('validating', validating);
+      account.on('validated', validated);
+
+      account.validateAsync({username: 'eug'});
+      account.validateAsync({username: 'eugene'}).catch(rejected);
+      expect(account.isValidating('username')).toBe(true);
+      expect(validating.calls.count()).toEqual(1);
+
+      $timeout.flush(300);
+      expect(Account.prototype.asyncValidators.username.validate.calls.count()).toEqual(1);
+      expect(account.isValidating()).toBe(false);
+      expect(validated).toHaveBeenCalledWith(account, 'username', ['The username is taken'], jasmine.any(Object));
+      expect(rejected.calls.mostRecent().args[0] instanceof ValidationExceptionClass).toBe(true);
+      expect(account.errorsFor('username')).toEqual(['The username is taken']);
+    });
+
+    it('clears errors of a valid attribute', function () {
+      var account = new Account();
+      var resolved = jasmine.createSpy('resolved');
+
+      account.validateAsync({username: 'eugene'}, {debounce: 0});
+      $timeout.flush();
+      account.validateAsync({username: 'oshri'}, {debounce: 0}).then(resolved);
+      $timeout.flush();
+
+      expect(resolved).toHaveBeenCalledWith(account);
+      expect(account.errorsFor('username')).toEqual([]);
+      expect(account.validationError).toBeNull();
+    });
+
+    it('is awaited by save', function () {
+      var rejected = jasmine.createSpy('rejected');
+
+      new Account().save({username: 'eugene'}, {}).catch(rejected);
+      $timeout.flush();
+      expect(rejected.calls.mostRecent().args[0].errors).toEqual({username: ['The username is taken']});
+
+      $httpBackend.expectPOST('/accounts', {username: 'oshri'}).respond({id: 1, username: 'oshri'});
+      new Account().save({username: 'oshri'}, {wait: true});
+      $httpBackend.flush();
+    });
+
+    it('reports a validator which throws as an error', function () {
+      var account = new Account();
+      var rejected = jasmine.createSpy('rejected');
+      var resolved = jasmine.createSpy('resolved');
+      account.asyncValidators.username.validate.and.throwError('Service is down');
+
+      account.save({username: 'oshri'}, {}).catch(rejected);
+      $timeout.flush();
+      expect(rejected.calls.mostRecent().args[0].errors).toEqual({username: ['Service is down']});
+      expect(account.isValidating('username')).toBe(false);
+
+      account.asyncValidators.username.validate.and.returnValue(null);
+      account.validateAsync({username: 'oshri'}, {debounce: 0}).then(resolved);
+      $timeout.flush();
+      expect(resolved).toHaveBeenCalledWith(account);
+    });
+  });
+});